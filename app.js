@@ -13,12 +13,19 @@ const state = {
     drawControl: null,
     currentListId: null,
     lists: [],
+    jobs: [], // Collection jobs, one per drawn shape
     searchTimeout: null,
-    addressMarkers: null, // Layer group for address pins
+    addressMarkers: null, // Address pins - a cluster group unless clustering is off (see MarkerLayer)
+    addressMarkerIndex: new Map(), // Address id -> its pin, so single edits and new rows don't redraw every pin
     satelliteLayer: null,
     labelsLayer: null,
     arcgisOverlay: null,
-    buildingOverlay: null // Layer for showing building footprints
+    buildingOverlay: null, // Layer for showing building footprints
+    exclusionLayer: null, // Layer for the current list's excluded areas
+    excludeMode: false, // Shapes drawn while on are carved out instead of collected
+    importedAreas: null, // Boundaries read from a dropped file, waiting to be collected
+    boundaryLayer: null, // Outline of the place picked in the search, until collected or replaced
+    pickMode: false // Map clicks add the address at that spot to the current list
 };
 
 // ========================================
@@ -27,12 +34,15 @@ const state = {
 
 const Storage = {
     LISTS_KEY: 'addressCollector_lists',
+    JOBS_KEY: 'addressCollector_jobs',
     
     saveLists() {
         try {
             localStorage.setItem(this.LISTS_KEY, JSON.stringify(state.lists));
         } catch (e) {
             console.error('Failed to save to localStorage:', e);
+            // Usually the quota - say so, or every later edit is lost without a word
+            showToast('⚠️ Changes could not be saved - browser storage is full. Export or delete a list to free space', 'error');
         }
     },
     
@@ -41,11 +51,52 @@ const Storage = {
             const saved = localStorage.getItem(this.LISTS_KEY);
             if (saved) {
                 state.lists = JSON.parse(saved);
+                this.moveSnapshotsOut();
             }
         } catch (e) {
             console.error('Failed to load from localStorage:', e);
             state.lists = [];
         }
+    },
+    
+    // Lists saved before snapshots moved to ListSnapshots carry them inline
+    moveSnapshotsOut() {
+        let moved = false;
+        
+        for (const list of state.lists) {
+            if (list.refresh && list.refresh.addresses) {
+                ListSnapshots.set(ListSnapshots.refreshKey(list.refresh.id), list.refresh.addresses);
+                delete list.refresh.addresses;
+                moved = true;
+            }
+            if (list.previousVersion && list.previousVersion.addresses) {
+                ListSnapshots.set(ListSnapshots.previousKey(list.id), list.previousVersion.addresses);
+                delete list.previousVersion.addresses;
+                moved = true;
+            }
+        }
+        
+        if (moved) this.saveLists();
+    },
+    
+    saveJobs() {
+        try {
+            localStorage.setItem(this.JOBS_KEY, JSON.stringify(state.jobs));
+        } catch (e) {
+            console.error('Failed to save jobs to localStorage:', e);
+        }
+    },
+    
+    loadJobs() {
+        try {
+            const saved = localStorage.getItem(this.JOBS_KEY);
+            if (saved) {
+                state.jobs = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.error('Failed to load jobs from localStorage:', e);
+            state.jobs = [];
+        }
     }
 };
 
@@ -83,8 +134,12 @@ function initMap() {
     state.drawnItems = new L.FeatureGroup();
     state.map.addLayer(state.drawnItems);
     
-    // Initialize feature group for address markers
-    state.addressMarkers = new L.FeatureGroup();
+    // Initialize feature group for excluded areas
+    state.exclusionLayer = new L.FeatureGroup();
+    state.map.addLayer(state.exclusionLayer);
+    
+    // Initialize the address pin layer
+    state.addressMarkers = MarkerLayer.create();
     state.map.addLayer(state.addressMarkers);
     
     // Initialize draw control
@@ -147,6 +202,13 @@ function initMap() {
     
     // Handle draw events
     state.map.on(L.Draw.Event.CREATED, handleDrawCreated);
+    state.map.on(L.Draw.Event.EDITED, handleShapesEdited);
+    state.map.on(L.Draw.Event.DELETED, handleShapesDeleted);
+    
+    // Pick mode: clicking the map adds the address at that spot
+    state.map.on('click', (e) => {
+        if (state.pickMode) pickAddressAt(e.latlng);
+    });
     
     // Debug: log all draw events
     state.map.on(L.Draw.Event.DRAWSTART, function(e) {
@@ -203,7 +265,7 @@ function initMap() {
 async function loadArcGISWebMap(webMapId) {
     try {
         // Fetch web map definition from ArcGIS REST API
-        const response = await fetch(
+        const response = await RequestScheduler.fetch(
             `https://www.arcgis.com/sharing/rest/content/items/${webMapId}/data?f=json`
         );
         
@@ -325,15 +387,6 @@ function handleDrawCreated(e) {
     console.log('Layer type:', e.layerType);
     console.log('Layer:', layer);
     
-    // Add the layer to the drawn items group
-    state.drawnItems.addLayer(layer);
-    
-    // Lines (polylines) are just for drawing, don't fetch addresses
-    if (e.layerType === 'polyline') {
-        showToast('✏️ Line drawn - no address fetch for lines');
-        return;
-    }
-    
     // Check if we have a current list selected
     if (!state.currentListId) {
         // Create a new list automatically
@@ -342,17 +395,34 @@ function handleDrawCreated(e) {
         console.log('Created new list:', listId);
     }
     
-    // Start background fetch process (non-blocking)
-    console.log('Starting background fetch for:', e.layerType);
+    // In exclude mode the shape is carved out of the list's collection area instead
+    if (state.excludeMode) {
+        if (e.layerType === 'polyline') {
+            showToast('⚠️ Lines cannot be excluded - draw a polygon, rectangle or circle', 'error');
+            return;
+        }
+        addExclusion(state.currentListId, layer, e.layerType === 'circle' ? 'circle' : 'polygon');
+        return;
+    }
+    
+    // Add the layer to the drawn items group
+    state.drawnItems.addLayer(layer);
     
-    if (e.layerType === 'circle') {
-        fetchAddressesInBackground(layer, 'circle');
-    } else {
-        // Works for polygon, rectangle, etc.
-        fetchAddressesInBackground(layer, 'polygon');
+    // Queue a collection job for this shape (runs in the background)
+    console.log('Queueing collection job for:', e.layerType);
+    
+    // Save the shape on the list so it can be shown again - dropped if no job could be made from it
+    const shape = addShapeToList(state.currentListId, layer, e.layerType);
+    if (shape && !createJob(state.currentListId, layer, jobShapeType(e.layerType), { shapeId: shape.id })) {
+        deleteShape(shape.id, false);
     }
 }
 
+// Lines collect a corridor of buildings along them; polygon, rectangle, etc. are all polygons
+function jobShapeType(layerType) {
+    return { circle: 'circle', polyline: 'corridor' }[layerType] || 'polygon';
+}
+
 function startDrawing(type) {
     console.log('Starting draw mode:', type);
     
@@ -377,8 +447,14 @@ function startDrawing(type) {
     const drawType = typeMap[type.toLowerCase()] || type;
     const optionsKey = type.toLowerCase();
     
-    // Get draw options
-    const drawOptions = state.drawControl.options.draw[optionsKey] || {};
+    // Drawing needs the map clicks
+    if (state.pickMode) togglePickMode();
+    
+    // Get draw options - excluded areas are drawn in the exclusion style
+    let drawOptions = state.drawControl.options.draw[optionsKey] || {};
+    if (state.excludeMode) {
+        drawOptions = { ...drawOptions, shapeOptions: { ...drawOptions.shapeOptions, ...EXCLUSION_STYLE } };
+    }
     
     try {
         // Create and enable drawing handler
@@ -404,6 +480,8 @@ function startDrawing(type) {
 }
 
 function clearDrawings() {
+    clearImportedAreas();
+    clearSearchBoundary();
     state.drawnItems.clearLayers();
     document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
 }
@@ -412,210 +490,30 @@ function clearDrawings() {
 // Address Fetching (Background Process)
 // ========================================
 
-// Search configuration - fast single-query approach
+// Search configuration - large shapes are split into tiles and harvested one tile at a time
 const SEARCH_CONFIG = {
-    MAX_BUILDINGS: 100,          // Max buildings to process
-    BATCH_SIZE: 5,               // Parallel reverse geocode requests
-    BATCH_DELAY: 200             // Delay between batches (ms)
+    CELL_SIZE: 0.009,            // Tile size in degrees (~1km)
+    MAX_CELLS: 400,              // Tiles get larger if a shape would need more than this
+    BATCH_SIZE: 5,               // Reverse geocodes per progress update (the scheduler paces them)
+    LOOKUP_BATCH_SIZE: 50,       // Buildings resolved per lookup-by-id request (Nominatim's limit)
+    NODE_PADDING: 0.001,         // Address points are fetched this far past the tile (~100m) to match edge buildings
+    MAX_UNITS: 500,              // Unit lists longer than this are treated as bad data and not expanded
+    LOCALITY_CELL: 0.003,        // Tagged addresses without city/state/zip share one reverse geocode per square this size (~300m)
+    MAX_POLY_POINTS: 300,        // Polygons with more vertices are left out of queries, lines are simplified to fit
+    SIMPLIFY_TOLERANCE: 0.00001  // Starting line simplification tolerance in degrees (~1m), doubled until it fits
 };
 
-// Fast single-query fetch for entire area
-async function fetchAddressesInBackground(layer, shapeType) {
-    const fetchStatus = document.getElementById('fetch-status');
-    const progressContainer = document.getElementById('fetch-progress');
-    const progressBar = document.getElementById('fetch-progress-bar');
-    
-    fetchStatus.textContent = 'Finding buildings...';
-    fetchStatus.className = 'status-item loading';
-    progressContainer.classList.add('active');
-    progressBar.style.width = '10%';
-    
-    try {
-        const bounds = layer.getBounds();
-        
-        if (!bounds || !bounds.isValid()) {
-            fetchStatus.textContent = 'Invalid area';
-            fetchStatus.className = 'status-item error';
-            progressContainer.classList.remove('active');
-            showToast('❌ Invalid area selected', 'error');
-            return;
-        }
-        
-        // Get shape details for filtering
-        let polygon = null;
-        let center = null;
-        let radius = null;
-        
-        if (shapeType === 'circle') {
-            center = layer.getLatLng();
-            radius = layer.getRadius();
-        } else if (layer.getLatLngs) {
-            polygon = extractPolygonPoints(layer.getLatLngs());
-        }
-        
-        const south = bounds.getSouth();
-        const west = bounds.getWest();
-        const north = bounds.getNorth();
-        const east = bounds.getEast();
-        
-        console.log(`Searching area: ${south.toFixed(5)},${west.toFixed(5)} to ${north.toFixed(5)},${east.toFixed(5)}`);
-        showToast('🔍 Finding buildings...');
-        
-        // Single query for ALL buildings in the bounding box
-        const query = `
-            [out:json][timeout:30];
-            (
-                way["building"](${south},${west},${north},${east});
-            );
-            out center;
-        `;
-        
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: 'data=' + encodeURIComponent(query)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Overpass API error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        progressBar.style.width = '30%';
-        
-        if (!data.elements || data.elements.length === 0) {
-            fetchStatus.textContent = 'No buildings';
-            fetchStatus.className = 'status-item';
-            progressContainer.classList.remove('active');
-            showToast('⚠️ No buildings found in this area');
-            return;
-        }
-        
-        console.log(`Found ${data.elements.length} buildings in bounding box`);
-        
-        // Filter buildings to only those INSIDE the drawn shape
-        const buildings = [];
-        const seen = new Set();
-        let filteredOut = 0;
-        
-        for (const el of data.elements) {
-            if (el.center) {
-                const lat = el.center.lat;
-                const lng = el.center.lon;
-                
-                // Check if building is inside the drawn shape
-                let isInside = true;
-                
-                if (center && radius) {
-                    // Circle: check distance from center
-                    const distance = haversineDistance(center.lat, center.lng, lat, lng);
-                    isInside = distance <= radius;
-                } else if (polygon && polygon.length > 0) {
-                    // Polygon: check if point is inside
-                    isInside = isPointInPolygon(lat, lng, polygon);
-                }
-                
-                if (isInside) {
-                    const key = `${lat.toFixed(4)}-${lng.toFixed(4)}`;
-                    if (!seen.has(key)) {
-                        seen.add(key);
-                        buildings.push({ lat, lng });
-                    }
-                } else {
-                    filteredOut++;
-                }
-            }
-        }
-        
-        console.log(`${buildings.length} buildings inside shape, ${filteredOut} filtered out`);
-        
-        if (buildings.length === 0) {
-            fetchStatus.textContent = 'No buildings in area';
-            fetchStatus.className = 'status-item';
-            progressContainer.classList.remove('active');
-            showToast('⚠️ No buildings found inside the drawn area');
-            return;
-        }
-        
-        fetchStatus.textContent = `${buildings.length} buildings, geocoding...`;
-        showToast(`🏠 Found ${buildings.length} buildings inside area, getting addresses...`);
-        
-        // Limit to 100 buildings max for speed
-        const maxBuildings = 100;
-        const toProcess = buildings.slice(0, maxBuildings);
-        
-        if (buildings.length > maxBuildings) {
-            console.log(`Limited to ${maxBuildings} of ${buildings.length} buildings`);
-        }
-        
-        // Reverse geocode buildings in parallel batches for speed
-        const addresses = [];
-        const batchSize = 5;
-        
-        for (let i = 0; i < toProcess.length; i += batchSize) {
-            const batch = toProcess.slice(i, i + batchSize);
-            const progress = 30 + Math.round((i / toProcess.length) * 60);
-            progressBar.style.width = `${progress}%`;
-            fetchStatus.textContent = `${addresses.length} addresses (${Math.round(i/toProcess.length*100)}%)`;
-            
-            // Parallel reverse geocoding
-            const results = await Promise.all(
-                batch.map(b => reverseGeocode(b.lat, b.lng))
-            );
-            
-            // Add valid addresses - verify they're inside the shape
-            for (let j = 0; j < results.length; j++) {
-                const loc = results[j];
-                const building = batch[j];
-                
-                if (loc && loc.address) {
-                    const isDupe = addresses.some(a => a.address === loc.address);
-                    if (!isDupe) {
-                        addresses.push({
-                            id: generateId(),
-                            address: loc.address,
-                            city: loc.city || '',
-                            state: loc.state || '',
-                            zipcode: loc.zipcode || '',
-                            lat: building.lat.toFixed(6),
-                            lng: building.lng.toFixed(6)
-                        });
-                    }
-                }
-            }
-            
-            // Small delay between batches
-            if (i + batchSize < toProcess.length) {
-                await sleep(200);
-            }
-        }
-        
-        // Add addresses to list
-        progressBar.style.width = '100%';
-        
-        if (addresses.length > 0) {
-            addAddressesToCurrentList(addresses);
-            fetchStatus.textContent = `${addresses.length} addresses`;
-            fetchStatus.className = 'status-item';
-            showToast(`✅ Found ${addresses.length} addresses!`, 'success');
-        } else {
-            fetchStatus.textContent = 'No addresses';
-            fetchStatus.className = 'status-item';
-            showToast('⚠️ Could not get addresses for buildings');
-        }
-        
-        console.log(`Done: ${addresses.length} addresses from ${toProcess.length} buildings`);
-        
-        setTimeout(() => progressContainer.classList.remove('active'), 2000);
-        
-    } catch (error) {
-        console.error('Error:', error);
-        fetchStatus.textContent = 'Error';
-        fetchStatus.className = 'status-item error';
-        progressContainer.classList.remove('active');
-        showToast('❌ Error fetching addresses', 'error');
-    }
-}
+// How an address was produced - stored on every address as `source`
+const ADDRESS_SOURCES = {
+    'osm-tags': 'OSM address tags',
+    'osm-lookup': 'Looked up by OSM id',
+    'reverse-geocode': 'Reverse geocoded',
+    'picked': 'Picked on the map',
+    'manual': 'Entered by hand'
+};
+
+// Sources of addresses a person added rather than a collection job - marked in the table and CSV
+const MANUAL_SOURCES = ['picked', 'manual'];
 
 // Load building footprints when zoomed in (zoom >= 17)
 let buildingLoadTimeout = null;
@@ -648,15 +546,7 @@ async function loadBuildingFootprints() {
                 out geom;
             `;
             
-            const response = await fetch('https://overpass-api.de/api/interpreter', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body: 'data=' + encodeURIComponent(query)
-            });
-            
-            if (!response.ok) return;
-            
-            const data = await response.json();
+            const data = await Overpass.query(query);
             
             // Clear existing overlay
             state.buildingOverlay.clearLayers();
@@ -686,6 +576,15 @@ async function loadBuildingFootprints() {
                     }
                     
                     polygon.bindPopup(popupContent);
+                    
+                    // In pick mode a footprint adds its building's address instead of showing the popup
+                    polygon.on('click', (e) => {
+                        if (!state.pickMode) return;
+                        L.DomEvent.stopPropagation(e);
+                        polygon.closePopup();
+                        pickAddressAt(e.latlng, el);
+                    });
+                    
                     state.buildingOverlay.addLayer(polygon);
                 }
             }
@@ -699,36 +598,143 @@ async function loadBuildingFootprints() {
 }
 
 // Show toast notification
-function showToast(message, type = '') {
+let toastTimer = null;
+
+// action is an optional { label, run } button shown next to the message, e.g. an undo
+function showToast(message, type = '', action = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
+    const toastAction = document.getElementById('toast-action');
     
     if (!toast || !toastMessage) return;
     
     toastMessage.textContent = message;
     toast.className = 'toast show' + (type ? ` ${type}` : '');
     
-    // Hide after 3 seconds
-    setTimeout(() => {
+    if (toastAction) {
+        toastAction.hidden = !action;
+        toastAction.textContent = action ? action.label : '';
+        toastAction.onclick = action ? () => {
+            toast.classList.remove('show');
+            action.run();
+        } : null;
+    }
+    
+    // Hide after 3 seconds - longer when there is a button to reach for.
+    // A newer toast restarts the clock rather than being hidden by the old one's timer
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 8000 : 3000);
 }
 
-// Extract polygon points from various layer formats
-function extractPolygonPoints(latLngs) {
+// Extract polygons from various layer formats as plain data: a list of polygons,
+// each a list of rings - the outer ring first, then its holes
+function extractPolygons(latLngs) {
     if (!latLngs || latLngs.length === 0) return null;
     
+    let polygons = [];
+    
     // Check various nesting levels
     if (latLngs[0] && latLngs[0].lat !== undefined) {
-        return latLngs; // Flat array [LatLng, LatLng, ...]
+        polygons = [[latLngs]]; // Flat array [LatLng, LatLng, ...]
     } else if (Array.isArray(latLngs[0]) && latLngs[0][0] && latLngs[0][0].lat !== undefined) {
-        return latLngs[0]; // Nested [[LatLng, LatLng, ...]]
+        polygons = [latLngs]; // Nested [[outer], [hole], ...]
     } else if (Array.isArray(latLngs[0]) && Array.isArray(latLngs[0][0]) && latLngs[0][0][0] && latLngs[0][0][0].lat !== undefined) {
-        return latLngs[0][0]; // Double nested
+        polygons = latLngs; // Double nested (multi-polygon)
+    }
+    
+    polygons = polygons
+        .map(rings => rings.map(ring => ring.map(p => ({ lat: p.lat, lng: p.lng }))).filter(ring => ring.length >= 3))
+        .filter(rings => rings.length > 0);
+    
+    return polygons.length > 0 ? polygons : null;
+}
+
+// Circles become polygons where a shape has to be one (excluded areas)
+function circleToRing(center, radius, segments = 64) {
+    const latRadius = radius / METERS_PER_DEGREE;
+    const lngRadius = radius / (METERS_PER_DEGREE * Math.cos(center.lat * Math.PI / 180));
+    const ring = [];
+    
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * 2 * Math.PI;
+        ring.push({ lat: center.lat + latRadius * Math.cos(angle), lng: center.lng + lngRadius * Math.sin(angle) });
+    }
+    
+    return ring;
+}
+
+// A corridor as polygons: one capsule (a rectangle with rounded ends) per segment of the line
+function corridorToPolygons(line, width, capSegments = 8) {
+    const polygons = [];
+    
+    for (let i = 0; i < line.length - 1; i++) {
+        const a = line[i], b = line[i + 1];
+        const lngScale = Math.cos(a.lat * Math.PI / 180);
+        const angle = Math.atan2(b.lat - a.lat, (b.lng - a.lng) * lngScale);
+        const ring = [];
+        
+        // Half a circle around each end, turning from one side of the segment to the other
+        [[b, angle - Math.PI / 2], [a, angle + Math.PI / 2]].forEach(([end, start]) => {
+            for (let k = 0; k <= capSegments; k++) {
+                const theta = start + (k / capSegments) * Math.PI;
+                ring.push({
+                    lat: end.lat + (width / METERS_PER_DEGREE) * Math.sin(theta),
+                    lng: end.lng + (width / (METERS_PER_DEGREE * lngScale)) * Math.cos(theta)
+                });
+            }
+        });
+        
+        polygons.push([ring]);
+    }
+    
+    return polygons;
+}
+
+// Polygons of a GeoJSON Polygon or MultiPolygon geometry, as rings of { lat, lng } without the closing point
+function geojsonPolygons(geometry) {
+    const toRing = coords => coords.slice(0, -1).map(([lng, lat]) => ({ lat, lng }));
+    
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates.map(toRing)];
     }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates.map(polygon => polygon.map(toRing));
+    }
+    return null;
+}
+
+// The reverse of geojsonPolygons: polygons of { lat, lng } rings as a GeoJSON MultiPolygon with closed rings
+function polygonsToMultiPolygon(polygons) {
+    const toCoordinates = ring => {
+        const coordinates = ring.map(p => [p.lng, p.lat]);
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (first.lat !== last.lat || first.lng !== last.lng) coordinates.push([first.lng, first.lat]);
+        return coordinates;
+    };
+    
+    return { type: 'MultiPolygon', coordinates: polygons.map(rings => rings.map(toCoordinates)) };
+}
+
+// The polygons of an area - jobs saved before holes were supported have a single `polygon` ring
+function areaPolygons(area) {
+    if (area.polygons && area.polygons.length > 0) return area.polygons;
+    if (area.polygon && area.polygon.length > 0) return [[area.polygon]];
     return null;
 }
 
+// Every polygon carved out of an area
+function exclusionPolygons(area) {
+    return (area.exclusions || []).flatMap(exclusion => exclusion.polygons);
+}
+
+// Carved-out polygons that also skip buildings reaching into them. Ground that was already
+// collected (byCenter) only skips buildings by their center - the rule they were collected by
+function cornerExclusionPolygons(area) {
+    return (area.exclusions || []).filter(exclusion => !exclusion.byCenter).flatMap(exclusion => exclusion.polygons);
+}
+
 // Calculate cell size - always 1km, scale up only if too many cells
 function calculateCellSize(bounds) {
     const south = bounds.getSouth();
@@ -757,7 +763,10 @@ function calculateCellSize(bounds) {
 }
 
 // Generate 1km grid cells - no overlap for speed
-function generateGridCells(bounds, polygon, center, radius) {
+function generateGridCells(bounds, area) {
+    const { center, radius, line, width } = area;
+    const polygons = areaPolygons(area);
+    const exclusions = exclusionPolygons(area);
     const cells = [];
     
     const south = bounds.getSouth();
@@ -771,42 +780,161 @@ function generateGridCells(bounds, polygon, center, radius) {
     // Generate non-overlapping grid
     for (let lat = south; lat < north; lat += cellSize) {
         for (let lng = west; lng < east; lng += cellSize) {
-            const cellSouth = lat;
-            const cellNorth = Math.min(lat + cellSize, north);
-            const cellWest = lng;
-            const cellEast = Math.min(lng + cellSize, east);
-            
-            // Check if cell center is within the shape
-            const cellCenterLat = (cellSouth + cellNorth) / 2;
-            const cellCenterLng = (cellWest + cellEast) / 2;
+            const cell = {
+                south: lat,
+                north: Math.min(lat + cellSize, north),
+                west: lng,
+                east: Math.min(lng + cellSize, east)
+            };
             
             let includeCell = true;
             
-            // For circles, check if center is within radius
+            // For circles, check if the nearest point of the cell is within radius
             if (center && radius) {
-                const distance = haversineDistance(center.lat, center.lng, cellCenterLat, cellCenterLng);
-                includeCell = distance <= radius;
+                const nearestLat = Math.max(cell.south, Math.min(center.lat, cell.north));
+                const nearestLng = Math.max(cell.west, Math.min(center.lng, cell.east));
+                includeCell = haversineDistance(center.lat, center.lng, nearestLat, nearestLng) <= radius;
+            }
+            // For corridors, keep cells that come within the corridor width of the line
+            else if (line && width) {
+                const cellCenterLat = (cell.south + cell.north) / 2;
+                const cellCenterLng = (cell.west + cell.east) / 2;
+                const halfDiagonal = haversineDistance(cell.south, cell.west, cell.north, cell.east) / 2;
+                includeCell = distanceToLine(cellCenterLat, cellCenterLng, line) <= width + halfDiagonal;
             }
-            // For polygons, check if center is inside
-            else if (polygon && polygon.length > 0) {
-                includeCell = isPointInPolygon(cellCenterLat, cellCenterLng, polygon);
+            // For polygons, keep any cell that touches the shape (not just cells whose center is inside)
+            // and is not entirely inside one of its holes
+            else if (polygons) {
+                includeCell = polygons.some(rings => cellIntersectsPolygonWithHoles(cell, rings));
+            }
+            
+            // Cells entirely inside an excluded area have nothing to collect
+            if (includeCell && exclusions.some(rings => cellWithinPolygonWithHoles(cell, rings))) {
+                includeCell = false;
             }
             
             if (includeCell) {
-                cells.push({
-                    south: cellSouth,
-                    north: cellNorth,
-                    west: cellWest,
-                    east: cellEast
-                });
+                cells.push(cell);
             }
         }
     }
     
-    console.log(`Generated ${cells.length} non-overlapping 1km cells`);
+    console.log(`Generated ${cells.length} non-overlapping cells`);
     return cells;
 }
 
+// Check whether a grid cell overlaps a polygon at all
+function cellIntersectsPolygon(cell, polygon) {
+    // Any cell corner (or its center) inside the polygon
+    const centerLat = (cell.south + cell.north) / 2;
+    const centerLng = (cell.west + cell.east) / 2;
+    if (isPointInPolygon(centerLat, centerLng, polygon)) return true;
+    if (cellCorners(cell).some(p => isPointInPolygon(p.lat, p.lng, polygon))) return true;
+    
+    return ringCrossesCell(cell, polygon);
+}
+
+// Check whether a grid cell lies entirely inside a polygon
+function cellWithinPolygon(cell, polygon) {
+    return cellCorners(cell).every(p => isPointInPolygon(p.lat, p.lng, polygon)) && !ringCrossesCell(cell, polygon);
+}
+
+// Same checks for a polygon with holes ([outer, ...holes])
+function cellIntersectsPolygonWithHoles(cell, rings) {
+    return cellIntersectsPolygon(cell, rings[0]) && !rings.slice(1).some(hole => cellWithinPolygon(cell, hole));
+}
+
+function cellWithinPolygonWithHoles(cell, rings) {
+    return cellWithinPolygon(cell, rings[0]) && !rings.slice(1).some(hole => cellIntersectsPolygon(cell, hole));
+}
+
+function cellCorners(cell) {
+    return [
+        { lat: cell.south, lng: cell.west },
+        { lat: cell.south, lng: cell.east },
+        { lat: cell.north, lng: cell.east },
+        { lat: cell.north, lng: cell.west }
+    ];
+}
+
+// Check whether a polygon's outline passes through a grid cell
+function ringCrossesCell(cell, polygon) {
+    const corners = cellCorners(cell);
+    
+    // Any polygon vertex inside the cell
+    if (polygon.some(p => p.lat >= cell.south && p.lat <= cell.north && p.lng >= cell.west && p.lng <= cell.east)) {
+        return true;
+    }
+    
+    // Any polygon edge crossing a cell edge
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        for (let k = 0; k < corners.length; k++) {
+            if (segmentsIntersect(polygon[j], polygon[i], corners[k], corners[(k + 1) % corners.length])) {
+                return true;
+            }
+        }
+    }
+    
+    return false;
+}
+
+// Check whether segment a1-a2 crosses segment b1-b2
+function segmentsIntersect(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p.lng - o.lng) * (q.lat - o.lat) - (p.lat - o.lat) * (q.lng - o.lng);
+    
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+// Check whether a point falls inside the drawn shape (circle, corridor or polygons with holes)
+// and outside everything carved out of it
+function isInsideArea(lat, lng, area) {
+    let inside = true;
+    
+    if (area.center && area.radius) {
+        inside = haversineDistance(area.center.lat, area.center.lng, lat, lng) <= area.radius;
+    } else if (area.line && area.width) {
+        inside = distanceToLine(lat, lng, area.line) <= area.width;
+    } else {
+        const polygons = areaPolygons(area);
+        if (polygons) inside = polygons.some(rings => isPointInPolygonWithHoles(lat, lng, rings));
+    }
+    
+    return inside && !exclusionPolygons(area).some(rings => isPointInPolygonWithHoles(lat, lng, rings));
+}
+
+// Check whether a point falls in a hole of the area or in an excluded area. Buildings with any
+// corner in there are skipped, the same way the Overpass query drops them (see cornerExclusionPolygons)
+function isInExcludedZone(lat, lng, area) {
+    const polygons = areaPolygons(area) || [];
+    const inHole = polygons.some(rings => rings.slice(1).some(hole => isPointInPolygon(lat, lng, hole)));
+    
+    // A hole may have an island of the area inside it
+    if (inHole && !polygons.some(rings => isPointInPolygonWithHoles(lat, lng, rings))) return true;
+    
+    return cornerExclusionPolygons(area).some(rings => isPointInPolygonWithHoles(lat, lng, rings));
+}
+
+// Length of one degree of latitude (and of longitude at the equator) in meters
+const METERS_PER_DEGREE = 111320;
+
+// Distance in meters from a point to the nearest segment of a polyline
+function distanceToLine(lat, lng, line) {
+    const point = { lat, lng };
+    const lngScale = Math.cos(lat * Math.PI / 180);
+    let nearest = Infinity;
+    
+    for (let i = 0; i < line.length - 1; i++) {
+        nearest = Math.min(nearest, pointSegmentDistance(point, line[i], line[i + 1], lngScale));
+    }
+    
+    return nearest * METERS_PER_DEGREE;
+}
+
 // Haversine distance in meters
 function haversineDistance(lat1, lng1, lat2, lng2) {
     const R = 6371e3; // Earth radius in meters
@@ -823,142 +951,454 @@ function haversineDistance(lat1, lng1, lat2, lng2) {
     return R * c;
 }
 
-// Fetch addresses using BUILDING-BASED approach
-// Find all buildings in cell, then reverse geocode each to get address
-async function fetchAddressesForCell(cell) {
-    try {
-        // Query for ALL buildings in the cell
-        const query = `
-            [out:json][timeout:30];
-            (
-                way["building"](${cell.south},${cell.west},${cell.north},${cell.east});
-                relation["building"](${cell.south},${cell.west},${cell.north},${cell.east});
-            );
-            out center;
-        `;
-        
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: 'data=' + encodeURIComponent(query)
-        });
+// Overpass filter that limits a query to the shape itself: around: for circles and corridors
+// (around a list of points follows the line through them), poly: for polygons.
+// Returns '' if the area has no usable shape (the tile's bbox is then the only filter)
+function buildOverpassAreaFilter(area) {
+    if (area.center && area.radius) {
+        return `(around:${Math.ceil(area.radius)},${area.center.lat.toFixed(6)},${area.center.lng.toFixed(6)})`;
+    }
+    
+    if (area.line && area.width) {
+        // A simplified line may drift from the original by up to the tolerance - widen the corridor to match
+        let points = area.line;
+        let tolerance = 0;
         
-        if (!response.ok) {
-            if (response.status === 429) {
-                console.warn('Rate limited, waiting 2s and retrying...');
-                await sleep(2000);
-                return fetchAddressesForCell(cell);
-            }
-            console.warn(`Cell fetch failed: ${response.status}`);
-            return [];
+        while (points.length > SEARCH_CONFIG.MAX_POLY_POINTS) {
+            tolerance = tolerance ? tolerance * 2 : SEARCH_CONFIG.SIMPLIFY_TOLERANCE;
+            points = simplifyLine(area.line, tolerance);
         }
         
-        const data = await response.json();
-        
-        if (!data.elements || data.elements.length === 0) {
-            return [];
+        const radius = Math.ceil(area.width + tolerance * METERS_PER_DEGREE);
+        return `(around:${radius},${points.map(p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`).join(',')})`;
+    }
+    
+    if (!area.polygon || area.polygon.length < 3) return '';
+    
+    // A simplified boundary would cut inside the real one and the server would never send the
+    // buildings in between - long boundaries rely on the tile's bbox and the exact checks on the results
+    if (area.polygon.length > SEARCH_CONFIG.MAX_POLY_POINTS) return '';
+    
+    return `(poly:"${area.polygon.map(p => `${p.lat.toFixed(6)} ${p.lng.toFixed(6)}`).join(' ')}")`;
+}
+
+// Overpass filters for an area that may have several polygons, holes and excluded areas:
+// { parts: [{ include, holes: [...] }], exclude: [...] }, each entry a filter from buildOverpassAreaFilter.
+// Rings too long for a query are left out: such a shape falls back to the tile's bbox, and such holes
+// and excluded areas are only subtracted by the exact checks on the results
+function buildOverpassAreaFilters(area) {
+    const polygons = areaPolygons(area);
+    const ringFilter = ring => buildOverpassAreaFilter({ polygon: ring });
+    
+    const parts = polygons
+        ? polygons.map(rings => ({
+            include: buildOverpassAreaFilter({ polygon: rings[0] }),
+            holes: rings.slice(1).map(ringFilter).filter(Boolean)
+        }))
+        : [{ include: buildOverpassAreaFilter(area), holes: [] }];
+    
+    // An excluded area with holes of its own would need its holes added back - checked locally only
+    const exclude = cornerExclusionPolygons(area)
+        .filter(rings => rings.length === 1)
+        .map(rings => ringFilter(rings[0]))
+        .filter(Boolean);
+    
+    return { parts: parts, exclude: exclude };
+}
+
+// Overpass statements that leave everything statementsFor(filter) selects inside the area in the default set:
+// a union over the parts, each minus its holes, minus the excluded areas
+function buildOverpassAreaStatements(areaFilters, statementsFor) {
+    const { parts, exclude } = areaFilters;
+    
+    if (exclude.length === 0 && parts.every(part => part.holes.length === 0)) {
+        return `(\n${parts.map(part => statementsFor(part.include)).join('\n')}\n);`;
+    }
+    
+    const lines = [];
+    
+    parts.forEach((part, i) => {
+        lines.push(`(${statementsFor(part.include)})->.part${i};`);
+        if (part.holes.length > 0) {
+            lines.push(`(${part.holes.map(statementsFor).join(' ')})->.holes${i};`);
+            lines.push(`(.part${i}; - .holes${i};)->.part${i};`);
         }
+    });
+    
+    const union = `(${parts.map((_, i) => `.part${i};`).join(' ')})`;
+    
+    if (exclude.length > 0) {
+        lines.push(`${union}->.inside;`);
+        lines.push(`(${exclude.map(statementsFor).join(' ')})->.excluded;`);
+        lines.push('(.inside; - .excluded;);');
+    } else {
+        lines.push(`${union};`);
+    }
+    
+    return lines.join('\n');
+}
+
+// Douglas-Peucker simplification of an open polyline - the end points are always kept
+function simplifyLine(line, tolerance) {
+    if (line.length <= 2) return line;
+    
+    // Longitude degrees shrink towards the poles - scale them so the tolerance is the same in every direction
+    const lngScale = Math.cos(line[0].lat * Math.PI / 180);
+    const ring = line;
+    const keep = new Array(ring.length).fill(false);
+    keep[0] = keep[ring.length - 1] = true;
+    
+    const stack = [[0, ring.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
         
-        console.log(`Found ${data.elements.length} buildings in cell`);
-        
-        // Extract building centers
-        const buildings = [];
-        const seen = new Set();
+        for (let i = start + 1; i < end; i++) {
+            const distance = pointSegmentDistance(ring[i], ring[start], ring[end], lngScale);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
         
-        for (const element of data.elements) {
-            let lat, lng;
-            
-            if (element.center) {
-                lat = element.center.lat;
-                lng = element.center.lon;
-            } else if (element.lat && element.lon) {
-                lat = element.lat;
-                lng = element.lon;
-            } else {
-                continue;
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+    
+    return ring.filter((_, i) => keep[i]);
+}
+
+// Distance from p to segment a-b in (scaled) degrees
+function pointSegmentDistance(p, a, b, lngScale) {
+    const px = p.lng * lngScale, py = p.lat;
+    const ax = a.lng * lngScale, ay = a.lat;
+    const bx = b.lng * lngScale, by = b.lat;
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    
+    let t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Outlines of the tile's buildings whose type the filter leaves out, only to drop the address points
+// inside them - without tags, and not asked for at all when every type is collected
+async function fetchExcludedTypeBuildings(bbox, areaFilters, buildingFilter) {
+    const selector = buildOverpassBuildingSelector(buildingFilter, true);
+    if (!selector) return [];
+    
+    const statements = buildOverpassAreaStatements(areaFilters, areaFilter => `
+            way${selector}${bbox}${areaFilter};
+            relation${selector}${bbox}${areaFilter};`);
+    const data = await Overpass.query(`
+        [out:json][timeout:30];
+        ${statements}
+        out skel geom;
+    `);
+    
+    return (data.elements || []).map(element => ({
+        key: `${element.type}/${element.id}`,
+        element: element,
+        rings: buildingRings(element),
+        nodes: []
+    }));
+}
+
+// Fetch addresses for one tile using the BUILDING-BASED approach
+// Find all buildings in the cell that fall inside the drawn shape, and match address points to the building
+// they sit in - a building with several address points yields several addresses. Untagged buildings are
+// looked up by OSM id in batches where the geocoder supports it, and only the rest are reverse geocoded
+// Options: seenBuildings (keys already handled by other tiles), onFound(count) once the tile's buildings are known,
+// onProgress(found, processed) after every batch, shouldStop() checked between batches to pause/cancel mid-tile,
+// areaFilters (precomputed buildOverpassAreaFilters(area) so a long corridor is only simplified once per job),
+// buildingFilter (building types and minimum footprint to collect, see getBuildingFilter),
+// streetName (keep only addresses on this street - used by corridors that follow a road).
+// The result's buildingKeys are the handled elements a neighbouring tile can meet again, for seenBuildings
+async function fetchAddressesForCell(cell, area, options = {}) {
+    const seenBuildings = options.seenBuildings || new Set();
+    const buildingFilter = options.buildingFilter || getBuildingFilter(null);
+    const buildingSelector = buildOverpassBuildingSelector(buildingFilter);
+    const bbox = `(${cell.south},${cell.west},${cell.north},${cell.east})`;
+    const pad = SEARCH_CONFIG.NODE_PADDING;
+    const paddedBbox = `(${[cell.south - pad, cell.west - pad, cell.north + pad, cell.east + pad].map(v => v.toFixed(6)).join(',')})`;
+    const areaFilters = options.areaFilters || buildOverpassAreaFilters(area);
+    
+    // Query for ALL buildings (ways and multipolygon relations) in the tile plus address points,
+    // with geometry so address points can be matched to the building outline they sit in -
+    // the area filters make the server drop everything outside the shape and inside its holes
+    const statements = buildOverpassAreaStatements(areaFilters, areaFilter => `
+            way${buildingSelector}${bbox}${areaFilter};
+            relation${buildingSelector}${bbox}${areaFilter};
+            node["addr:housenumber"]${paddedBbox}${areaFilter};`);
+    const query = `
+        [out:json][timeout:30];
+        ${statements}
+        out geom;
+    `;
+    
+    const data = await Overpass.query(query);
+    const elements = data.elements || [];
+    
+    // Tagged buildings and address points are resolved locally,
+    // only untagged buildings need the geocoder
+    const addresses = [];
+    const untagged = [];
+    const buildingKeys = [];
+    const seen = new Set();
+    let buildingCount = 0;
+    
+    // Only elements within the node padding of the tile's edge turn up in another tile's query - the
+    // rest are never seen twice, and leaving them out keeps the job's saved checkpoint small
+    const rememberKey = (key, b) => {
+        if (!b || b.minlat < cell.south + pad || b.maxlat > cell.north - pad ||
+            b.minlon < cell.west + pad || b.maxlon > cell.east - pad) {
+            buildingKeys.push(key);
+        }
+    };
+    const rememberNode = node => rememberKey(`node/${node.id}`, { minlat: node.lat, maxlat: node.lat, minlon: node.lon, maxlon: node.lon });
+    
+    // One row per unit when the element lists its units (addr:unit, addr:flats, building:flats)
+    const addAddress = (loc, lat, lng, source, osmRef, tags) => {
+        if (options.streetName && !streetMatches(loc, options.streetName)) return;
+        
+        for (const unit of unitsFromTags(tags || {})) {
+            const isDupe = addresses.some(a => a.address === loc.address && a.unit === unit);
+            if (!isDupe) {
+                addresses.push(buildAddressRecord({ ...loc, unit: unit }, lat, lng, source, osmRef));
             }
-            
-            // Skip if we've seen a building very close to this one (within ~10m)
-            const key = `${lat.toFixed(4)}-${lng.toFixed(4)}`;
-            if (seen.has(key)) continue;
-            seen.add(key);
-            
-            buildings.push({ lat, lng, tags: element.tags || {} });
         }
+    };
+    
+    const buildings = [];
+    const skippedBuildings = [];
+    const addressNodes = [];
+    
+    for (const element of elements) {
+        // Skip elements already handled by a neighbouring tile
+        const elementKey = `${element.type}/${element.id}`;
+        if (seenBuildings.has(elementKey)) continue;
+        
+        if (element.type === 'node') {
+            if (hasStreetAddressTags(element.tags || {})) addressNodes.push(element);
+            continue;
+        }
+        
+        const center = elementCenter(element);
+        
+        // Skip buildings outside the drawn shape
+        if (!center || !isInsideArea(center.lat, center.lng, area)) continue;
+        
+        const rings = buildingRings(element);
+        const building = {
+            key: elementKey,
+            element: element,
+            lat: center.lat,
+            lng: center.lng,
+            rings: rings,
+            nodes: []
+        };
+        
+        // Skip buildings reaching into a hole or excluded area, and footprints the list does not
+        // collect - they still claim the address points inside them
+        if (rings.some(ring => ring.some(p => isInExcludedZone(p.lat, p.lng, area))) ||
+            !passesBuildingFilter(element.tags || {}, rings, buildingFilter)) {
+            skippedBuildings.push(building);
+            continue;
+        }
+        
+        buildings.push(building);
+    }
+    
+    // Give every address point to the building it sits in. Points outside any building are
+    // addresses of their own, but only in their own tile - the padding is just for matching.
+    // Points inside a skipped building or one of the types the filter leaves out go with it
+    if (addressNodes.length > 0) {
+        skippedBuildings.push(...await fetchExcludedTypeBuildings(bbox, areaFilters, buildingFilter));
+    }
+    const buildingIndex = indexBuildingsByCell([...buildings, ...skippedBuildings]);
+    const standaloneNodes = [];
+    
+    for (const node of addressNodes) {
+        const building = findContainingBuilding(node.lat, node.lon, buildingIndex);
+        
+        if (building) {
+            building.nodes.push(node);
+        } else if (node.lat >= cell.south && node.lat <= cell.north && node.lon >= cell.west && node.lon <= cell.east &&
+            isInsideArea(node.lat, node.lon, area)) {
+            standaloneNodes.push(node);
+        }
+    }
+    
+    for (const building of buildings) {
+        const { element, key, lat, lng } = building;
+        const tags = element.tags || {};
         
-        // Limit buildings per cell to avoid too many reverse geocode requests
-        const maxBuildings = SEARCH_CONFIG.MAX_BUILDINGS_PER_CELL || 50;
-        const limitedBuildings = buildings.slice(0, maxBuildings);
+        rememberKey(key, element.bounds);
+        buildingCount++;
+        
+        // Each address point is an address of this building - a terrace or block of flats may have several.
+        // The building's own flat count can't be split between its entrances, so units come from the points
+        if (building.nodes.length > 0) {
+            if (hasStreetAddressTags(tags)) {
+                addAddress(addressFromTags(tags), lat, lng, 'osm-tags', key, { 'addr:unit': tags['addr:unit'], 'addr:flats': tags['addr:flats'] });
+            }
+            for (const node of building.nodes) {
+                rememberNode(node);
+                addAddress(addressFromTags(node.tags), node.lat, node.lon, 'osm-tags', `node/${node.id}`, node.tags);
+            }
+            continue;
+        }
         
-        if (buildings.length > maxBuildings) {
-            console.log(`Limited to ${maxBuildings} of ${buildings.length} buildings`);
+        if (hasStreetAddressTags(tags)) {
+            addAddress(addressFromTags(tags), lat, lng, 'osm-tags', key, tags);
+            continue;
         }
         
-        // Reverse geocode each building to get its address
-        const addresses = [];
-        let successCount = 0;
-        let failCount = 0;
-        let dupeCount = 0;
+        // Skip if we've seen an untagged building very close to this one (within ~10m)
+        const nearKey = `${lat.toFixed(4)}-${lng.toFixed(4)}`;
+        if (seen.has(nearKey)) continue;
+        seen.add(nearKey);
         
-        console.log(`Starting reverse geocoding for ${limitedBuildings.length} buildings...`);
+        untagged.push({ lat, lng, tags, key, osmId: element.type[0].toUpperCase() + element.id });
+    }
+    
+    for (const node of standaloneNodes) {
+        rememberNode(node);
+        addAddress(addressFromTags(node.tags), node.lat, node.lon, 'osm-tags', `node/${node.id}`, node.tags);
+    }
+    
+    const resolvedLocally = buildingCount - untagged.length;
+    
+    console.log(`Found ${buildingCount} buildings and ${addressNodes.length} address points in cell: ` +
+        `${addresses.length} addresses from OSM tags, ${untagged.length} untagged buildings to resolve`);
+    if (options.onFound) options.onFound(buildingCount);
+    if (options.onProgress) options.onProgress(buildingCount, resolvedLocally);
+    
+    const stoppedResult = { addresses: [], buildingKeys: [], buildingsFound: buildingCount, buildingsProcessed: 0, stopped: true };
+    let processed = resolvedLocally;
+    
+    // Look untagged buildings up by OSM id first - one request covers a whole batch
+    // and the address belongs to that exact building, not whatever is nearest its centroid
+    let needReverse = untagged;
+    
+    if (Geocoder.canLookup() && untagged.length > 0) {
+        needReverse = [];
         
-        for (let i = 0; i < limitedBuildings.length; i++) {
-            const building = limitedBuildings[i];
+        for (let i = 0; i < untagged.length; i += SEARCH_CONFIG.LOOKUP_BATCH_SIZE) {
+            // The tile is the unit of work - a stopped tile is redone from scratch on resume
+            if (options.shouldStop && options.shouldStop()) return stoppedResult;
             
-            try {
-                const locationData = await reverseGeocode(building.lat, building.lng);
-                
-                if (locationData && locationData.address) {
-                    // Check for duplicate addresses
-                    const isDupe = addresses.some(a => 
-                        a.address === locationData.address && 
-                        Math.abs(parseFloat(a.lat) - building.lat) < 0.0002
-                    );
-                    
-                    if (!isDupe) {
-                        addresses.push({
-                            id: generateId(),
-                            address: locationData.address,
-                            city: locationData.city || '',
-                            state: locationData.state || '',
-                            zipcode: locationData.zipcode || '',
-                            lat: building.lat.toFixed(6),
-                            lng: building.lng.toFixed(6)
-                        });
-                        successCount++;
-                    } else {
-                        dupeCount++;
-                    }
+            const batch = untagged.slice(i, i + SEARCH_CONFIG.LOOKUP_BATCH_SIZE);
+            const found = await lookupBuildings(batch.map(b => b.osmId));
+            
+            // Only a house number makes the address the building's own - a bare street name would
+            // merge every such building into one row, so those are reverse geocoded instead
+            for (const building of batch) {
+                const loc = found.get(building.osmId);
+                if (loc && loc.houseNumber) {
+                    addAddress(loc, building.lat, building.lng, 'osm-lookup', building.key, building.tags);
+                    processed++;
                 } else {
-                    failCount++;
-                    console.log(`No address for building ${i+1} at ${building.lat.toFixed(5)}, ${building.lng.toFixed(5)}`);
-                }
-                
-                // Log progress every 10 buildings
-                if ((i + 1) % 10 === 0) {
-                    console.log(`Processed ${i + 1}/${limitedBuildings.length} buildings...`);
+                    needReverse.push(building);
                 }
-                
-                // Small delay between reverse geocode requests
-                await sleep(150);
-                
-            } catch (error) {
-                failCount++;
-                console.warn('Reverse geocode failed for building:', error);
             }
+            
+            if (options.onProgress) options.onProgress(buildingCount, processed);
         }
         
-        console.log(`Reverse geocoding complete: ${successCount} addresses, ${dupeCount} duplicates, ${failCount} failed`);
-        return addresses;
+        console.log(`Lookup by OSM id resolved ${untagged.length - needReverse.length} of ${untagged.length} buildings, ` +
+            `${needReverse.length} left to reverse geocode`);
+    }
+    
+    // Fall back to reverse geocoding the centroids of whatever the lookup could not resolve
+    for (let i = 0; i < needReverse.length; i += SEARCH_CONFIG.BATCH_SIZE) {
+        if (options.shouldStop && options.shouldStop()) return stoppedResult;
         
-    } catch (error) {
-        console.warn('Error fetching cell:', error);
-        return [];
+        const batch = needReverse.slice(i, i + SEARCH_CONFIG.BATCH_SIZE);
+        
+        const results = await Promise.all(
+            batch.map(b => reverseGeocode(b.lat, b.lng))
+        );
+        
+        for (let j = 0; j < results.length; j++) {
+            const loc = results[j];
+            const building = batch[j];
+            
+            if (loc && loc.address) {
+                addAddress(loc, building.lat, building.lng, 'reverse-geocode', building.key, building.tags);
+            }
+        }
+        
+        processed += batch.length;
+        if (options.onProgress) options.onProgress(buildingCount, processed);
+    }
+    
+    if (options.shouldStop && options.shouldStop()) return stoppedResult;
+    await fillMissingLocality(addresses);
+    
+    return { addresses, buildingKeys, buildingsFound: buildingCount, buildingsProcessed: buildingCount, stopped: false };
+}
+
+// Many OSM buildings carry a house number and street but no addr:city, addr:state or addr:postcode.
+// Fill those fields from a geocoded address nearby, or else from one reverse geocode per small square.
+// A busy geocoder leaves the rest blank for Enrich rather than failing a tile whose addresses are known
+async function fillMissingLocality(addresses) {
+    const squareKey = a => `${Math.floor(parseFloat(a.lat) / SEARCH_CONFIG.LOCALITY_CELL)}:` +
+        `${Math.floor(parseFloat(a.lng) / SEARCH_CONFIG.LOCALITY_CELL)}`;
+    const complete = a => a.city && a.state && a.zipcode;
+    
+    const squares = new Map();
+    for (const addr of addresses) {
+        if (addr.source !== 'osm-tags' || complete(addr)) continue;
+        
+        const key = squareKey(addr);
+        if (!squares.has(key)) squares.set(key, []);
+        squares.get(key).push(addr);
+    }
+    
+    for (const [key, missing] of squares) {
+        let donor = addresses.find(a => a.source !== 'osm-tags' && complete(a) && squareKey(a) === key);
+        
+        if (!donor) {
+            try {
+                donor = await reverseGeocode(missing[0].lat, missing[0].lng);
+            } catch (error) {
+                console.warn('Locality lookup gave up, leaving city/state/zip blank:', error);
+                return;
+            }
+        }
+        if (!donor) continue;
+        
+        for (const addr of missing) {
+            if (!addr.city) addr.city = donor.city || '';
+            if (!addr.state) addr.state = donor.state || '';
+            if (!addr.zipcode) addr.zipcode = donor.zipcode || '';
+        }
     }
 }
 
+// Build an address row for a list, recording which method produced it
+// and, when known, the OSM element it belongs to (e.g. "way/123")
+function buildAddressRecord(loc, lat, lng, source, osmRef = null) {
+    const record = {
+        id: generateId(),
+        address: loc.address,
+        unit: loc.unit || '',
+        city: loc.city || '',
+        state: loc.state || '',
+        zipcode: loc.zipcode || '',
+        lat: lat.toFixed(6),
+        lng: lng.toFixed(6),
+        source: source
+    };
+    
+    if (osmRef) record.osm = osmRef;
+    return record;
+}
 
 // Reverse geocode to fill in missing city, state, zipcode
 async function enrichAddressesWithLocation(addresses) {
@@ -973,7 +1413,7 @@ async function enrichAddressesWithLocation(addresses) {
     
     console.log(`Enriching ${needsEnrichment.length} addresses with reverse geocoding`);
     
-    // Process in small batches to avoid rate limiting
+    // One at a time - the request scheduler keeps this within the geocoder's rate limit
     for (let i = 0; i < needsEnrichment.length; i++) {
         const addr = needsEnrichment[i];
         
@@ -992,11 +1432,6 @@ async function enrichAddressesWithLocation(addresses) {
                 }
             }
             
-            // Small delay between requests to avoid rate limiting
-            if (i < needsEnrichment.length - 1) {
-                await sleep(200);
-            }
-            
         } catch (error) {
             console.warn('Reverse geocode failed for:', addr.address, error);
         }
@@ -1005,80 +1440,70 @@ async function enrichAddressesWithLocation(addresses) {
     return addresses;
 }
 
-// Reverse geocode a single lat/lng to get full address details
-async function reverseGeocode(lat, lng) {
-    try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`,
-            {
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'AddressCollector/1.0'
-                }
-            }
-        );
-        
-        if (!response.ok) {
-            if (response.status === 429) {
-                // Rate limited, wait and retry
-                console.log('Rate limited, waiting 1s...');
-                await sleep(1000);
-                return reverseGeocode(lat, lng);
-            }
-            console.warn(`Reverse geocode HTTP error: ${response.status}`);
-            return null;
-        }
-        
-        const data = await response.json();
-        
-        if (!data || !data.address) {
-            console.warn('No address data in response');
-            return null;
-        }
-        
-        const addr = data.address;
-        
-        // Build full street address - try multiple fallbacks
-        let fullAddress = '';
-        
-        if (addr.house_number && addr.road) {
-            // Best case: house number + street
-            fullAddress = `${addr.house_number} ${addr.road}`;
-        } else if (addr.house_number && addr.street) {
-            fullAddress = `${addr.house_number} ${addr.street}`;
-        } else if (addr.road && addr.house_number) {
-            fullAddress = `${addr.house_number} ${addr.road}`;
-        } else if (addr.road) {
-            // Just road name
-            fullAddress = addr.road;
-        } else if (addr.street) {
-            fullAddress = addr.street;
-        } else if (addr.building) {
-            fullAddress = addr.building;
-        } else if (addr.amenity) {
-            fullAddress = addr.amenity;
-        } else if (addr.shop) {
-            fullAddress = addr.shop;
-        } else if (addr.name) {
-            fullAddress = addr.name;
-        } else if (data.display_name) {
-            // Use first part of display name as fallback
-            fullAddress = data.display_name.split(',')[0];
+// Units listed on an OSM element, or [''] for a single address. addr:unit names one unit,
+// addr:flats lists them ("1-12", "A1-A4;B1", "3;5;7") and building:flats only gives a count
+function unitsFromTags(tags) {
+    let units = [];
+    
+    if (tags['addr:flats']) {
+        units = parseFlatsValue(tags['addr:flats']);
+    } else if (tags['addr:unit']) {
+        units = tags['addr:unit'].split(';').map(u => u.trim()).filter(Boolean);
+    } else if (/^\d+$/.test((tags['building:flats'] || '').trim())) {
+        const count = parseInt(tags['building:flats']);
+        if (count > 1 && count <= SEARCH_CONFIG.MAX_UNITS) {
+            units = Array.from({ length: count }, (_, i) => String(i + 1));
         }
+    }
+    
+    return units.length > 0 && units.length <= SEARCH_CONFIG.MAX_UNITS ? units : [''];
+}
+
+function parseFlatsValue(value) {
+    const units = [];
+    
+    for (const part of value.split(/[;,]/).map(p => p.trim()).filter(Boolean)) {
+        // Ranges keep a shared prefix: "A1-A4" -> A1, A2, A3, A4
+        const range = part.match(/^([A-Za-z]*)(\d+)\s*-\s*\1(\d+)$/) || part.match(/^()(\d+)\s*-\s*(\d+)$/);
         
-        // If still no address, return null
-        if (!fullAddress || fullAddress.trim() === '') {
-            return null;
+        if (range) {
+            const from = parseInt(range[2]);
+            const to = parseInt(range[3]);
+            if (to < from || to - from >= SEARCH_CONFIG.MAX_UNITS) return [];
+            for (let n = from; n <= to; n++) units.push(`${range[1]}${n}`);
+        } else {
+            units.push(part);
         }
-        
-        return {
-            address: fullAddress.trim(),
-            city: addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || addr.suburb || addr.county || '',
-            state: addr.state || addr.province || addr.region || '',
-            zipcode: addr.postcode || ''
-        };
-        
+    }
+    
+    return units;
+}
+
+// "3" -> "Apt 3"; values that already say what they are ("Suite 4", "Flat B") are kept as they are
+function formatUnit(unit) {
+    if (!unit) return '';
+    return /^[A-Za-z]?\d+[A-Za-z]?$/.test(unit) || /^[A-Za-z]$/.test(unit) ? `Apt ${unit}` : unit;
+}
+
+// Resolve buildings by OSM id ("W123") - a failed request leaves them all to the reverse geocode fallback.
+// A RequestFailure (the scheduler gave up on a busy geocoder) is rethrown so a job marks the tile failed
+async function lookupBuildings(osmIds) {
+    try {
+        return await Geocoder.lookup(osmIds);
     } catch (error) {
+        if (error.name === 'RequestFailure') throw error;
+        console.warn('Lookup by OSM id failed:', error);
+        return new Map();
+    }
+}
+
+// Reverse geocode a single lat/lng to get full address details (via the active geocoder provider).
+// Like lookupBuildings, only a RequestFailure is rethrown - it means "try again later", not "no address"
+async function reverseGeocode(lat, lng) {
+    try {
+        return await Geocoder.reverse(lat, lng);
+    } catch (error) {
+        if (error.name === 'RequestFailure') throw error;
         console.warn('Reverse geocode error:', error);
         return null;
     }
@@ -1139,11 +1564,6 @@ async function enrichCurrentListAddresses() {
             progressBar.style.width = `${progress}%`;
             fetchStatus.textContent = `${progress}% (${enriched} updated)`;
             
-            // Small delay to avoid rate limiting
-            if (i < needsEnrichment.length - 1) {
-                await sleep(300);
-            }
-            
         } catch (error) {
             console.warn('Failed to enrich:', addr.address, error);
         }
@@ -1241,34 +1661,26 @@ async function fetchAddressesInBounds(layer) {
         console.log('Fetching addresses in bounds:', { south, west, north, east });
         console.log('Polygon points:', polygon ? polygon.length : 'none');
         
+        // Restrict the query to the polygon itself when there is one
+        const filter = `(${south},${west},${north},${east})` +
+            (polygon ? buildOverpassAreaFilter({ polygon: polygon }) : '');
+        
         // Use Overpass API to fetch addresses
         const query = `
             [out:json][timeout:60];
             (
-                node["addr:street"]["addr:housenumber"](${south},${west},${north},${east});
-                way["addr:street"]["addr:housenumber"](${south},${west},${north},${east});
-                relation["addr:street"]["addr:housenumber"](${south},${west},${north},${east});
-                node["addr:full"](${south},${west},${north},${east});
-                way["addr:full"](${south},${west},${north},${east});
-                node["building"]["addr:housenumber"](${south},${west},${north},${east});
-                way["building"]["addr:housenumber"](${south},${west},${north},${east});
+                node["addr:street"]["addr:housenumber"]${filter};
+                way["addr:street"]["addr:housenumber"]${filter};
+                relation["addr:street"]["addr:housenumber"]${filter};
+                node["addr:full"]${filter};
+                way["addr:full"]${filter};
+                node["building"]["addr:housenumber"]${filter};
+                way["building"]["addr:housenumber"]${filter};
             );
             out center;
         `;
         
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: 'data=' + encodeURIComponent(query)
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch addresses: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
+        const data = await Overpass.query(query);
         console.log('Overpass API returned:', data.elements ? data.elements.length : 0, 'elements');
         
         const addresses = processOverpassData(data, polygon);
@@ -1287,6 +1699,7 @@ async function fetchAddressesInBounds(layer) {
         console.error('Error fetching addresses:', error);
         fetchStatus.textContent = 'Error fetching';
         fetchStatus.className = 'status-item error';
+        showToast(`❌ ${error.message}`, 'error');
     } finally {
         loadingOverlay.classList.remove('active');
     }
@@ -1322,19 +1735,7 @@ async function fetchAddressesInCircle(center, radius) {
             out center;
         `;
         
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: 'data=' + encodeURIComponent(query)
-        });
-        
-        if (!response.ok) {
-            throw new Error('Failed to fetch addresses');
-        }
-        
-        const data = await response.json();
+        const data = await Overpass.query(query);
         const addresses = processOverpassData(data);
         
         if (addresses.length > 0) {
@@ -1350,6 +1751,7 @@ async function fetchAddressesInCircle(center, radius) {
         console.error('Error fetching addresses:', error);
         fetchStatus.textContent = 'Error fetching';
         fetchStatus.className = 'status-item error';
+        showToast(`❌ ${error.message}`, 'error');
     } finally {
         loadingOverlay.classList.remove('active');
     }
@@ -1397,64 +1799,179 @@ function processOverpassData(data, polygon = null) {
         }
         
         // Build address - handle multiple address formats
-        let fullAddress = '';
-        const houseNumber = tags['addr:housenumber'] || '';
-        const street = tags['addr:street'] || '';
-        const city = tags['addr:city'] || '';
-        const state = tags['addr:state'] || '';
-        const zipcode = tags['addr:postcode'] || '';
-        
-        // Try multiple ways to construct address
-        if (tags['addr:full']) {
-            // Full address tag
-            fullAddress = tags['addr:full'];
-        } else if (houseNumber && street) {
-            // Standard house number + street
-            fullAddress = `${houseNumber} ${street}`.trim();
-        } else if (houseNumber) {
-            // Just house number (might get street from nearby data)
-            fullAddress = houseNumber;
-        } else if (street) {
-            // Street without number
-            fullAddress = street;
-        } else if (tags['addr:place'] && houseNumber) {
-            // Place-based address (common in rural areas)
-            fullAddress = `${houseNumber} ${tags['addr:place']}`.trim();
-        } else if (tags['name'] && (tags['building'] || tags['amenity'] || tags['shop'])) {
-            // Named place with building/amenity/shop tag
-            fullAddress = tags['name'];
-        } else if (tags['addr:conscriptionnumber']) {
-            // Conscription number (used in some countries)
-            fullAddress = tags['addr:conscriptionnumber'];
-            if (street) fullAddress += ` ${street}`;
-        }
+        const loc = addressFromTags(tags);
         
         // Skip if no address could be constructed
-        if (!fullAddress) continue;
+        if (!loc) continue;
         
-        // Clean up the address
-        fullAddress = fullAddress.replace(/\s+/g, ' ').trim();
+        const fullAddress = loc.address;
         
         // Create unique key to avoid duplicates - use coordinates with higher precision
         const key = `${fullAddress.toLowerCase()}-${lat.toFixed(5)}-${lng.toFixed(5)}`;
         if (seen.has(key)) continue;
         seen.add(key);
         
-        addresses.push({
-            id: generateId(),
-            address: fullAddress,
-            city: city,
-            state: state,
-            zipcode: zipcode,
-            lat: lat.toFixed(6),
-            lng: lng.toFixed(6)
-        });
+        for (const unit of unitsFromTags(tags)) {
+            addresses.push(buildAddressRecord({ ...loc, unit: unit }, lat, lng, 'osm-tags', `${element.type}/${element.id}`));
+        }
     }
     
     console.log(`Processed ${addresses.length} unique addresses from ${data.elements.length} elements`);
     return addresses;
 }
 
+// Does this element carry enough addr:* tags to skip geocoding entirely?
+function hasStreetAddressTags(tags) {
+    const houseNumber = tags['addr:housenumber'];
+    return Boolean(tags['addr:full'] || (houseNumber && (tags['addr:street'] || tags['addr:place'])));
+}
+
+// Build an address from an element's OSM addr:* tags - returns null if there is nothing usable
+function addressFromTags(tags) {
+    let fullAddress = '';
+    const houseNumber = tags['addr:housenumber'] || '';
+    const street = tags['addr:street'] || '';
+    
+    // Try multiple ways to construct address
+    if (tags['addr:full']) {
+        // Full address tag
+        fullAddress = tags['addr:full'];
+    } else if (houseNumber && street) {
+        // Standard house number + street
+        fullAddress = `${houseNumber} ${street}`;
+    } else if (tags['addr:place'] && houseNumber) {
+        // Place-based address (common in rural areas)
+        fullAddress = `${houseNumber} ${tags['addr:place']}`;
+    } else if (houseNumber) {
+        // Just house number (might get street from nearby data)
+        fullAddress = houseNumber;
+    } else if (street) {
+        // Street without number
+        fullAddress = street;
+    } else if (tags['name'] && (tags['building'] || tags['amenity'] || tags['shop'])) {
+        // Named place with building/amenity/shop tag
+        fullAddress = tags['name'];
+    } else if (tags['addr:conscriptionnumber']) {
+        // Conscription number (used in some countries)
+        fullAddress = tags['addr:conscriptionnumber'];
+        if (street) fullAddress += ` ${street}`;
+    }
+    
+    // Clean up the address
+    fullAddress = fullAddress.replace(/\s+/g, ' ').trim();
+    if (!fullAddress) return null;
+    
+    return {
+        address: fullAddress,
+        street: street,
+        city: tags['addr:city'] || '',
+        state: tags['addr:state'] || '',
+        zipcode: tags['addr:postcode'] || ''
+    };
+}
+
+// Center of an Overpass element - the middle of its bounds, like Overpass' own "out center"
+function elementCenter(element) {
+    if (element.bounds) {
+        return {
+            lat: (element.bounds.minlat + element.bounds.maxlat) / 2,
+            lng: (element.bounds.minlon + element.bounds.maxlon) / 2
+        };
+    }
+    if (element.center) return { lat: element.center.lat, lng: element.center.lon };
+    if (element.lat !== undefined && element.lon !== undefined) return { lat: element.lat, lng: element.lon };
+    return null;
+}
+
+// Outer rings of a building from "out geom" output, as arrays of {lat, lng}.
+// Multipolygon outers may be split over several ways, which are joined end to end
+function buildingRings(element) {
+    const toPoints = geometry => geometry.map(p => ({ lat: p.lat, lng: p.lon }));
+    
+    if (element.type === 'way') {
+        return element.geometry ? [toPoints(element.geometry)] : [];
+    }
+    
+    const parts = (element.members || [])
+        .filter(m => m.type === 'way' && m.role === 'outer' && m.geometry && m.geometry.length > 1)
+        .map(m => toPoints(m.geometry));
+    
+    return joinRingParts(parts);
+}
+
+function joinRingParts(parts) {
+    const samePoint = (a, b) => a.lat === b.lat && a.lng === b.lng;
+    const rings = [];
+    const open = [];
+    
+    for (const part of parts) {
+        (samePoint(part[0], part[part.length - 1]) ? rings : open).push(part);
+    }
+    
+    while (open.length > 0) {
+        let ring = open.shift();
+        let extended = true;
+        
+        while (extended && !samePoint(ring[0], ring[ring.length - 1])) {
+            extended = false;
+            
+            for (let i = 0; i < open.length; i++) {
+                const part = open[i];
+                const end = ring[ring.length - 1];
+                
+                if (samePoint(end, part[0])) {
+                    ring = ring.concat(part.slice(1));
+                } else if (samePoint(end, part[part.length - 1])) {
+                    ring = ring.concat(part.slice(0, -1).reverse());
+                } else {
+                    continue;
+                }
+                
+                open.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+        
+        // An unclosed leftover is still closed implicitly by the point-in-polygon test
+        rings.push(ring);
+    }
+    
+    return rings;
+}
+
+// Bucket buildings into a coarse grid by their outline bounds so address points only test nearby buildings
+const BUILDING_INDEX_CELL = 0.001;
+
+function indexBuildingsByCell(buildings) {
+    const index = new Map();
+    
+    for (const building of buildings) {
+        const b = building.element.bounds;
+        if (!b || building.rings.length === 0) continue;
+        
+        for (let y = Math.floor(b.minlat / BUILDING_INDEX_CELL); y <= Math.floor(b.maxlat / BUILDING_INDEX_CELL); y++) {
+            for (let x = Math.floor(b.minlon / BUILDING_INDEX_CELL); x <= Math.floor(b.maxlon / BUILDING_INDEX_CELL); x++) {
+                const key = `${y}:${x}`;
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(building);
+            }
+        }
+    }
+    
+    return index;
+}
+
+function findContainingBuilding(lat, lng, index) {
+    const candidates = index.get(`${Math.floor(lat / BUILDING_INDEX_CELL)}:${Math.floor(lng / BUILDING_INDEX_CELL)}`) || [];
+    
+    return candidates.find(building => {
+        const b = building.element.bounds;
+        if (lat < b.minlat || lat > b.maxlat || lng < b.minlon || lng > b.maxlon) return false;
+        return building.rings.some(ring => isPointInPolygon(lat, lng, ring));
+    }) || null;
+}
+
 function isPointInPolygon(lat, lng, polygon) {
     let inside = false;
     const x = lng, y = lat;
@@ -1471,450 +1988,3864 @@ function isPointInPolygon(lat, lng, polygon) {
     return inside;
 }
 
+// Point-in-polygon for a polygon with holes: [outer, ...holes]
+function isPointInPolygonWithHoles(lat, lng, rings) {
+    return isPointInPolygon(lat, lng, rings[0]) && !rings.slice(1).some(hole => isPointInPolygon(lat, lng, hole));
+}
+
 // ========================================
-// List Management
+// Building Filter
 // ========================================
 
-function createList(name) {
-    const list = {
-        id: generateId(),
-        name: name || 'Untitled List',
-        createdAt: new Date().toISOString(),
-        addresses: []
+// OSM building=* values grouped the way people think about them. Values not listed fall under "other"
+const BUILDING_TYPE_GROUPS = [
+    { id: 'yes', label: 'Unspecified', values: ['yes'] },
+    { id: 'house', label: 'Houses', values: ['house', 'detached', 'semidetached_house', 'terrace', 'bungalow', 'farm', 'cabin', 'static_caravan', 'houseboat'] },
+    { id: 'residential', label: 'Residential', values: ['residential'] },
+    { id: 'apartments', label: 'Apartments', values: ['apartments', 'dormitory'] },
+    { id: 'commercial', label: 'Commercial', values: ['commercial', 'retail', 'office', 'supermarket', 'kiosk', 'hotel'] },
+    { id: 'industrial', label: 'Industrial', values: ['industrial', 'warehouse', 'manufacture', 'hangar'] },
+    { id: 'civic', label: 'Public', values: ['public', 'civic', 'government', 'school', 'kindergarten', 'university', 'college', 'hospital', 'church', 'chapel', 'mosque', 'temple', 'synagogue', 'train_station', 'fire_station'] },
+    { id: 'garage', label: 'Garages', values: ['garage', 'garages', 'carport', 'parking'] },
+    { id: 'shed', label: 'Sheds & huts', values: ['shed', 'hut', 'storage_tank', 'container'] },
+    { id: 'farm', label: 'Farm buildings', values: ['barn', 'farm_auxiliary', 'cowshed', 'stable', 'sty', 'greenhouse', 'silo'] },
+    { id: 'roof', label: 'Roofs & canopies', values: ['roof', 'canopy'] },
+    { id: 'other', label: 'Other', values: [] }
+];
+
+// Presets for the filter panel - the groups each one excludes
+const BUILDING_FILTER_PRESETS = {
+    all: [],
+    residential: ['commercial', 'industrial', 'civic', 'garage', 'shed', 'farm', 'roof', 'other']
+};
+
+// A list without a saved filter collects every building
+function getBuildingFilter(list) {
+    const filter = (list && list.buildingFilter) || {};
+    return {
+        excludedTypes: Array.isArray(filter.excludedTypes) ? filter.excludedTypes : [],
+        minArea: filter.minArea > 0 ? filter.minArea : 0
     };
+}
+
+function buildingTypeGroup(value) {
+    const group = BUILDING_TYPE_GROUPS.find(g => g.values.includes(value));
+    return group ? group.id : 'other';
+}
+
+// Overpass tag selector for buildings that pass the type filter - or, inverted, for the ones it leaves out
+// (null when that is none). Lists the allowed values when "Other" is excluded, otherwise only the excluded
+// ones, so unknown values keep coming through
+function buildOverpassBuildingSelector(filter, inverted = false) {
+    const excluded = filter.excludedTypes;
+    if (excluded.length === 0) return inverted ? null : '["building"]';
+    const valuesOf = groups => groups.flatMap(g => g.values).join('|');
+    if (excluded.includes('other')) {
+        const included = BUILDING_TYPE_GROUPS.filter(g => !excluded.includes(g.id));
+        // Nothing allowed at all - a selector that matches no value
+        if (included.length === 0) return inverted ? '["building"]' : '["building"="__none__"]';
+        return `["building"]["building"${inverted ? '!~' : '~'}"^(${valuesOf(included)})$"]`;
+    }
+    const excludedValues = valuesOf(BUILDING_TYPE_GROUPS.filter(g => excluded.includes(g.id)));
+    return `["building"]["building"${inverted ? '~' : '!~'}"^(${excludedValues})$"]`;
+}
+
+// Check a building against the filter - type again (the query already did) and footprint area
+function passesBuildingFilter(tags, rings, filter) {
+    if (filter.excludedTypes.includes(buildingTypeGroup(tags.building))) return false;
     
-    state.lists.push(list);
-    Storage.saveLists();
-    renderLists();
+    if (filter.minArea > 0 && rings.length > 0) {
+        return footprintArea(rings) >= filter.minArea;
+    }
     
-    return list.id;
+    return true;
 }
 
-function selectList(listId) {
-    state.currentListId = listId;
+// Footprint area in square meters (sum of outer rings)
+function footprintArea(rings) {
+    return rings.reduce((total, ring) => total + ringArea(ring), 0);
+}
+
+// Shoelace formula on an equirectangular projection - plenty accurate at building scale
+function ringArea(ring) {
+    if (ring.length < 3) return 0;
     
-    // Update UI
-    document.querySelectorAll('.list-item').forEach(item => {
-        item.classList.toggle('active', item.dataset.listId === listId);
-    });
+    const lngScale = Math.cos(ring[0].lat * Math.PI / 180);
+    let sum = 0;
     
-    const list = state.lists.find(l => l.id === listId);
-    if (list) {
-        document.getElementById('current-list-name').textContent = list.name;
-        document.getElementById('export-csv').disabled = list.addresses.length === 0;
-        renderAddresses(list.addresses);
-        updateAddressMarkers(list.addresses);
-        updateEnrichButtonState();
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i].lng * lngScale * METERS_PER_DEGREE, yi = ring[i].lat * METERS_PER_DEGREE;
+        const xj = ring[j].lng * lngScale * METERS_PER_DEGREE, yj = ring[j].lat * METERS_PER_DEGREE;
+        sum += xj * yi - xi * yj;
+    }
+    
+    return Math.abs(sum) / 2;
+}
+
+function describeBuildingFilter(filter) {
+    const parts = [];
+    
+    if (filter.excludedTypes.length > 0) {
+        const included = BUILDING_TYPE_GROUPS.filter(g => !filter.excludedTypes.includes(g.id));
+        parts.push(included.length === 0 ? 'No types' : `${included.length} of ${BUILDING_TYPE_GROUPS.length} types`);
     } else {
-        updateAddressMarkers([]);
-        document.getElementById('enrich-addresses').disabled = true;
+        parts.push('All types');
     }
+    
+    if (filter.minArea > 0) parts.push(`≥ ${filter.minArea} m²`);
+    
+    return parts.join(' · ');
 }
 
-function deleteList(listId) {
-    const index = state.lists.findIndex(l => l.id === listId);
-    if (index !== -1) {
-        state.lists.splice(index, 1);
-        Storage.saveLists();
+// Show the current list's filter in the panel (disabled when no list is selected)
+function renderBuildingFilter() {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    const filter = getBuildingFilter(list);
+    const container = document.getElementById('building-filter-types');
+    
+    container.innerHTML = BUILDING_TYPE_GROUPS.map(group => `
+        <label class="filter-type" title="${escapeHtml(group.values.join(', ') || 'Any other building value')}">
+            <input type="checkbox" data-building-type="${group.id}" ${filter.excludedTypes.includes(group.id) ? '' : 'checked'} ${list ? '' : 'disabled'}>
+            <span>${escapeHtml(group.label)}</span>
+        </label>
+    `).join('');
+    
+    const minAreaInput = document.getElementById('building-filter-min-area');
+    minAreaInput.value = filter.minArea || '';
+    minAreaInput.disabled = !list;
+    
+    document.querySelectorAll('.filter-preset-btn').forEach(btn => {
+        btn.disabled = !list;
+    });
+    
+    document.getElementById('building-filter-summary').textContent = list ? describeBuildingFilter(filter) : 'Select a list';
+}
+
+// Save the panel's state onto the current list - applies to shapes drawn from now on
+function saveBuildingFilter() {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    const excludedTypes = Array.from(document.querySelectorAll('#building-filter-types input[data-building-type]'))
+        .filter(input => !input.checked)
+        .map(input => input.dataset.buildingType);
+    const minArea = parseFloat(document.getElementById('building-filter-min-area').value);
+    
+    list.buildingFilter = { excludedTypes: excludedTypes, minArea: minArea > 0 ? minArea : 0 };
+    Storage.saveLists();
+    
+    document.getElementById('building-filter-summary').textContent = describeBuildingFilter(list.buildingFilter);
+}
+
+function applyBuildingFilterPreset(preset) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list || !BUILDING_FILTER_PRESETS[preset]) return;
+    
+    list.buildingFilter = { ...getBuildingFilter(list), excludedTypes: [...BUILDING_FILTER_PRESETS[preset]] };
+    Storage.saveLists();
+    renderBuildingFilter();
+}
+
+// ========================================
+// Corridors
+// ========================================
+
+// A drawn line collects the buildings within `width` meters on either side of it,
+// optionally only those addressed on the street the line follows
+const CORRIDOR_CONFIG = {
+    MIN_WIDTH: 5,
+    MAX_WIDTH: 1000,
+    DETECT_RADIUS: 20,           // How close a named road must run to the line to count as followed (m)
+    DETECT_SAMPLES: 50           // Points along the line that vote for the road they are nearest to
+};
+
+// Street-type and direction words written both ways in OSM - compared in their short form
+const STREET_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', boulevard: 'blvd', lane: 'ln',
+    court: 'ct', place: 'pl', terrace: 'ter', circle: 'cir', parkway: 'pkwy', highway: 'hwy',
+    square: 'sq', trail: 'trl', north: 'n', south: 's', east: 'e', west: 'w',
+    northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw'
+};
+
+// Width and street matching are remembered between sessions; the street name applies to the next line only
+function getCorridorOptions() {
+    const width = parseFloat(document.getElementById('corridor-width').value);
+    
+    return {
+        width: Math.min(CORRIDOR_CONFIG.MAX_WIDTH, Math.max(CORRIDOR_CONFIG.MIN_WIDTH, width || Settings.DEFAULTS.corridorWidth)),
+        matchStreet: document.getElementById('corridor-match-street').checked,
+        streetName: document.getElementById('corridor-street-name').value.trim()
+    };
+}
+
+function renderCorridorOptions() {
+    const matchStreet = Settings.get('corridorMatchStreet');
+    
+    document.getElementById('corridor-width').value = Settings.get('corridorWidth');
+    document.getElementById('corridor-match-street').checked = matchStreet;
+    document.getElementById('corridor-street-name').disabled = !matchStreet;
+}
+
+function saveCorridorOptions() {
+    const options = getCorridorOptions();
+    
+    Settings.update({ corridorWidth: options.width, corridorMatchStreet: options.matchStreet });
+    renderCorridorOptions();
+}
+
+// Fill in the street a corridor job follows before its first tile - on failure the job collects every street
+async function detectJobStreet(job) {
+    try {
+        job.streetMatch.name = await detectFollowedStreet(job.area.line);
+    } catch (error) {
+        console.warn('Street detection failed:', error);
+    }
+    
+    if (job.streetMatch.name) {
+        showToast(`🛣️ Following ${job.streetMatch.name}`);
+    } else {
+        job.streetMatch = null;
+        showToast('⚠️ No named street found along the line - collecting all addresses', 'error');
+    }
+    touchJob(job);
+}
+
+// Name of the road the line runs along: every sample point votes for the named highway nearest to it
+async function detectFollowedStreet(line) {
+    const areaFilter = buildOverpassAreaFilter({ line: line, width: CORRIDOR_CONFIG.DETECT_RADIUS });
+    const data = await Overpass.query(`
+        [out:json][timeout:25];
+        way["highway"]["name"]${areaFilter};
+        out tags geom;
+    `);
+    
+    const roads = (data.elements || [])
+        .filter(way => way.geometry && way.geometry.length > 1)
+        .map(way => ({ name: way.tags.name, points: way.geometry.map(p => ({ lat: p.lat, lng: p.lon })) }));
+    if (roads.length === 0) return '';
+    
+    const votes = new Map();
+    for (const point of sampleLine(line, CORRIDOR_CONFIG.DETECT_SAMPLES)) {
+        let nearest = null;
+        let nearestDistance = Infinity;
         
-        if (state.currentListId === listId) {
-            state.currentListId = null;
-            document.getElementById('current-list-name').textContent = 'No List Selected';
-            document.getElementById('export-csv').disabled = true;
-            document.getElementById('enrich-addresses').disabled = true;
-            renderAddresses([]);
-            updateAddressMarkers([]);
+        for (const road of roads) {
+            const distance = distanceToLine(point.lat, point.lng, road.points);
+            if (distance < nearestDistance) {
+                nearest = road;
+                nearestDistance = distance;
+            }
         }
         
-        renderLists();
+        if (nearest && nearestDistance <= CORRIDOR_CONFIG.DETECT_RADIUS) {
+            votes.set(nearest.name, (votes.get(nearest.name) || 0) + 1);
+        }
     }
+    
+    let best = '';
+    votes.forEach((count, name) => {
+        if (!best || count > votes.get(best)) best = name;
+    });
+    return best;
 }
 
-function addAddressesToCurrentList(addresses) {
-    const list = state.lists.find(l => l.id === state.currentListId);
+// Up to `count` points spread along a polyline: its vertices and the midpoints of its segments
+function sampleLine(line, count) {
+    const points = [];
+    
+    line.forEach((point, i) => {
+        points.push(point);
+        if (i < line.length - 1) {
+            points.push({ lat: (point.lat + line[i + 1].lat) / 2, lng: (point.lng + line[i + 1].lng) / 2 });
+        }
+    });
+    
+    const step = Math.max(1, points.length / count);
+    const samples = [];
+    for (let i = 0; i < points.length; i += step) {
+        samples.push(points[Math.floor(i)]);
+    }
+    return samples;
+}
+
+// Whether an address is on the given street. Uses the street field when the source has one,
+// otherwise the end of the address line (after the house number)
+function streetMatches(loc, streetName) {
+    const wanted = normalizeStreetName(streetName);
+    if (!wanted) return true;
+    
+    if (loc.street) {
+        return normalizeStreetName(loc.street) === wanted;
+    }
+    
+    const address = normalizeStreetName(loc.address || '');
+    return address === wanted || address.endsWith(` ${wanted}`);
+}
+
+// Lowercase, drop punctuation and shorten street types and directions so "N. Main Street" equals "north main st"
+function normalizeStreetName(name) {
+    return name
+        .toLowerCase()
+        .replace(/[.,'’]/g, '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => STREET_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+// ========================================
+// Excluded Areas
+// ========================================
+
+// Shapes drawn in exclude mode are saved on the list and carved out of its collection area:
+// out of every shape drawn afterwards, and out of the remaining tiles of its unfinished jobs
+const EXCLUSION_STYLE = {
+    color: '#ef4444',
+    fillColor: '#ef4444',
+    fillOpacity: 0.15,
+    weight: 2,
+    dashArray: '6 4'
+};
+
+function toggleExcludeMode() {
+    state.excludeMode = !state.excludeMode;
+    document.getElementById('toggle-exclude').classList.toggle('toggled', state.excludeMode);
+    
+    showToast(state.excludeMode
+        ? '🚫 Exclude mode - shapes you draw are left out of the list'
+        : '✏️ Exclude mode off - shapes you draw are collected');
+}
+
+function addExclusion(listId, layer, shapeType) {
+    const list = state.lists.find(l => l.id === listId);
     if (!list) return;
     
-    // Add only unique addresses
-    for (const addr of addresses) {
-        const exists = list.addresses.some(
-            a => a.address === addr.address && a.city === addr.city && a.zipcode === addr.zipcode
-        );
-        if (!exists) {
-            list.addresses.push(addr);
-        }
+    const polygons = shapeType === 'circle'
+        ? [[circleToRing(layer.getLatLng(), layer.getRadius())]]
+        : extractPolygons(layer.getLatLngs());
+    
+    if (!polygons) {
+        showToast('❌ Invalid area selected', 'error');
+        return;
     }
     
+    const exclusion = { id: generateId(), polygons: polygons, createdAt: new Date().toISOString() };
+    list.exclusions = [...(list.exclusions || []), exclusion];
     Storage.saveLists();
-    renderAddresses(list.addresses);
-    updateAddressMarkers(list.addresses);
-    renderLists();
-    document.getElementById('export-csv').disabled = list.addresses.length === 0;
-    updateEnrichButtonState();
+    
+    const unfinished = state.jobs.filter(j => j.listId === listId && ['running', 'queued', 'paused'].includes(j.status));
+    unfinished.forEach(job => {
+        job.area.exclusions = [...(job.area.exclusions || []), { id: exclusion.id, polygons: polygons }];
+    });
+    if (unfinished.length > 0) {
+        Storage.saveJobs();
+    }
+    
+    renderExclusions();
+    showToast(`🚫 Area excluded from ${list.name}` +
+        (unfinished.length > 0 ? ` and ${unfinished.length} unfinished job${unfinished.length !== 1 ? 's' : ''}` : ''));
 }
 
-function deleteAddress(addressId) {
+// Removing an excluded area applies to shapes drawn afterwards - queued jobs keep their own copy
+function removeExclusion(listId, exclusionId) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list) return;
+    
+    list.exclusions = (list.exclusions || []).filter(e => e.id !== exclusionId);
+    Storage.saveLists();
+    renderExclusions();
+}
+
+// Show the current list's excluded areas, each with a popup to remove it
+function renderExclusions() {
+    state.exclusionLayer.clearLayers();
+    
     const list = state.lists.find(l => l.id === state.currentListId);
     if (!list) return;
     
-    const index = list.addresses.findIndex(a => a.id === addressId);
-    if (index !== -1) {
-        list.addresses.splice(index, 1);
-        Storage.saveLists();
-        renderAddresses(list.addresses);
-        updateAddressMarkers(list.addresses);
-        renderLists();
-        document.getElementById('export-csv').disabled = list.addresses.length === 0;
+    for (const exclusion of list.exclusions || []) {
+        const shape = L.polygon(exclusion.polygons.map(rings => rings.map(ring => ring.map(p => [p.lat, p.lng]))), EXCLUSION_STYLE);
+        
+        const content = document.createElement('div');
+        content.style.fontFamily = "'DM Sans', sans-serif";
+        content.innerHTML = `
+            <div style="font-weight: 600; margin-bottom: 8px; color: #1f2937;">Excluded area</div>
+            <button style="padding: 4px 10px; border: 1px solid #ef4444; border-radius: 6px; background: #fff; color: #ef4444; cursor: pointer;">Remove</button>
+        `;
+        content.querySelector('button').addEventListener('click', () => removeExclusion(list.id, exclusion.id));
+        
+        shape.bindPopup(content);
+        state.exclusionLayer.addLayer(shape);
     }
 }
 
 // ========================================
-// Address Markers (Pins)
+// Shapes
 // ========================================
 
-// Create custom pin icon that's visible on satellite imagery
-function createPinIcon() {
-    return L.divIcon({
-        className: 'custom-pin',
-        html: `
-            <div style="
-                width: 40px;
-                height: 40px;
-                background: #3b82f6;
-                border: 4px solid white;
-                border-radius: 50% 50% 50% 0;
-                transform: rotate(-45deg);
-                box-shadow: 0 4px 14px rgba(0,0,0,0.6), 0 0 0 2px rgba(59, 130, 246, 0.3);
-                position: relative;
-                z-index: 1000;
-            ">
-                <div style="
-                    position: absolute;
-                    top: 50%;
-                    left: 50%;
-                    transform: translate(-50%, -50%) rotate(45deg);
-                    width: 14px;
-                    height: 14px;
-                    background: white;
-                    border-radius: 50%;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-                "></div>
-            </div>
-        `,
-        iconSize: [40, 40],
-        iconAnchor: [20, 40],
-        popupAnchor: [0, -40]
-    });
+// Every collection shape is saved on its list as GeoJSON, so a list keeps a record of the areas
+// that produced it. Addresses carry the id of the shape that added them (`shapeId`)
+const SHAPE_TYPES = {
+    polygon: { label: 'Polygon', color: '#3b82f6' },
+    rectangle: { label: 'Rectangle', color: '#10b981' },
+    circle: { label: 'Circle', color: '#8b5cf6' },
+    polyline: { label: 'Line', color: '#f59e0b' }
+};
+
+// Options: name (defaults to the type label and a number)
+function addShapeToList(listId, layer, layerType, options = {}) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list) return null;
+    
+    const type = SHAPE_TYPES[layerType] ? layerType : 'polygon';
+    const geojson = layer.toGeoJSON();
+    
+    // GeoJSON has no circles or corridors - keep what is needed to draw them again
+    if (type === 'circle') {
+        geojson.properties.radius = layer.getRadius();
+    } else if (type === 'polyline') {
+        geojson.properties.width = getCorridorOptions().width;
+    }
+    
+    list.shapes = list.shapes || [];
+    const shape = {
+        id: generateId(),
+        name: options.name || `${SHAPE_TYPES[type].label} ${list.shapes.length + 1}`,
+        type: type,
+        color: SHAPE_TYPES[type].color,
+        geojson: geojson,
+        createdAt: new Date().toISOString(),
+        addressCount: 0
+    };
+    
+    list.shapes.push(shape);
+    Storage.saveLists();
+    
+    layer.shapeId = shape.id;
+    layer.bindTooltip(shape.name);
+    renderShapes();
+    
+    return shape;
 }
 
-// Update address markers on the map
-function updateAddressMarkers(addresses) {
-    // Clear existing markers
-    state.addressMarkers.clearLayers();
+// Count addresses a shape's job added to the list
+function recordShapeAddresses(listId, shapeId, count) {
+    const list = state.lists.find(l => l.id === listId);
+    const shape = list && (list.shapes || []).find(s => s.id === shapeId);
+    if (!shape || count === 0) return;
     
-    if (!addresses || addresses.length === 0) {
+    shape.addressCount += count;
+    Storage.saveLists();
+    
+    if (list.id === state.currentListId) {
+        renderShapes();
+    }
+}
+
+function renameShape(shapeId, name) {
+    const shape = findCurrentShape(shapeId);
+    if (!shape || !name.trim()) {
+        renderShapes();
         return;
     }
     
-    // Create markers for each address
-    addresses.forEach(addr => {
-        if (!addr.lat || !addr.lng) return;
-        
-        const lat = parseFloat(addr.lat);
-        const lng = parseFloat(addr.lng);
-        
-        if (isNaN(lat) || isNaN(lng)) return;
+    shape.name = name.trim();
+    Storage.saveLists();
+    
+    const layer = findShapeLayer(shapeId);
+    if (layer) layer.setTooltipContent(shape.name);
+    renderJobs();
+}
+
+function recolorShape(shapeId, color) {
+    const shape = findCurrentShape(shapeId);
+    if (!shape) return;
+    
+    shape.color = color;
+    Storage.saveLists();
+    
+    const layer = findShapeLayer(shapeId);
+    if (layer) layer.setStyle(shapeStyle(shape));
+}
+
+// Delete a shape from the current list, optionally with the addresses it added - returns how many were removed.
+// Its collection stops if it is still running
+function deleteShape(shapeId, removeAddresses) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return 0;
+    
+    list.shapes = (list.shapes || []).filter(s => s.id !== shapeId);
+    
+    state.jobs
+        .filter(j => j.shapeId === shapeId)
+        .forEach(j => cancelJob(j.id));
+    
+    let removed = 0;
+    if (removeAddresses) {
+        const before = list.addresses.length;
+        list.addresses = list.addresses.filter(a => a.shapeId !== shapeId);
+        removed = before - list.addresses.length;
+    }
+    
+    Storage.saveLists();
+    
+    const layer = findShapeLayer(shapeId);
+    if (layer) state.drawnItems.removeLayer(layer);
+    
+    renderShapes();
+    renderLists();
+    if (removed > 0) {
+        refreshAddressViews(list);
+    }
+    
+    return removed;
+}
+
+// Leaflet.draw edit toolbar: collect only the ground an edited shape gained, then offer to drop
+// the shape's addresses that are now outside it
+function handleShapesEdited(e) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    const outside = [];
+    
+    e.layers.eachLayer(layer => {
+        const shape = (list.shapes || []).find(s => s.id === layer.shapeId);
+        if (!shape) return;
         
-        const marker = L.marker([lat, lng], {
-            icon: createPinIcon()
-        });
+        const previous = shapeArea(shape);
+        const geojson = layer.toGeoJSON();
+        geojson.properties = { ...shape.geojson.properties };
+        if (shape.type === 'circle') geojson.properties.radius = layer.getRadius();
+        shape.geojson = geojson;
         
-        // Create popup content
-        const popupContent = `
-            <div style="min-width: 200px; font-family: 'DM Sans', sans-serif;">
-                <div style="font-weight: 600; margin-bottom: 8px; color: #1f2937;">
-                    ${escapeHtml(addr.address)}
-                </div>
-                <div style="font-size: 0.85rem; color: #6b7280; margin-bottom: 4px;">
-                    ${escapeHtml(addr.city)}${addr.state ? ', ' + escapeHtml(addr.state) : ''}
-                </div>
-                ${addr.zipcode ? `<div style="font-size: 0.85rem; color: #6b7280; margin-bottom: 4px;">${escapeHtml(addr.zipcode)}</div>` : ''}
-                <div style="font-size: 0.75rem; color: #9ca3af; margin-top: 8px; font-family: 'JetBrains Mono', monospace;">
-                    ${lat.toFixed(6)}, ${lng.toFixed(6)}
-                </div>
-            </div>
-        `;
+        const area = shapeArea(shape);
         
-        marker.bindPopup(popupContent);
+        // A shape that was still being collected is collected again in full - its old job may not have got far
+        const unfinished = state.jobs.filter(j => j.shapeId === shape.id && ['running', 'queued', 'paused'].includes(j.status));
+        unfinished.forEach(j => cancelJob(j.id));
         
-        // Add click handler to zoom to address
-        marker.on('click', () => {
-            state.map.setView([lat, lng], 18);
+        createJob(list.id, layer, jobShapeType(shape.type), {
+            shapeId: shape.id,
+            width: area.width,
+            alreadyCollected: unfinished.length > 0 ? null : areaToPolygons(previous)
         });
         
-        state.addressMarkers.addLayer(marker);
+        outside.push(...list.addresses.filter(a => a.shapeId === shape.id && !isInsideArea(a.lat, a.lng, area)));
+    });
+    
+    Storage.saveLists();
+    
+    if (outside.length === 0) return;
+    
+    const message = `${outside.length} address${outside.length !== 1 ? 'es' : ''} from the edited shape ` +
+        `${outside.length !== 1 ? 'are' : 'is'} now outside it. Remove ${outside.length !== 1 ? 'them' : 'it'} from the list?`;
+    if (!confirm(message)) return;
+    
+    const removeIds = new Set(outside.map(a => a.id));
+    list.addresses = list.addresses.filter(a => !removeIds.has(a.id));
+    outside.forEach(a => {
+        const shape = list.shapes.find(s => s.id === a.shapeId);
+        if (shape) shape.addressCount = Math.max(0, shape.addressCount - 1);
+    });
+    
+    Storage.saveLists();
+    renderShapes();
+    renderLists();
+    refreshAddressViews(list);
+    showToast(`🗑️ Removed ${outside.length} address${outside.length !== 1 ? 'es' : ''} outside the edited shape`);
+}
+
+// Leaflet.draw delete toolbar: the shapes are gone from the map already - drop them from the list too
+function handleShapesDeleted(e) {
+    removeImportedLayers(e.layers);
+    
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    const shapeIds = [];
+    e.layers.eachLayer(layer => {
+        if (layer.shapeId) shapeIds.push(layer.shapeId);
     });
+    if (shapeIds.length === 0) return;
+    
+    const contributed = list.addresses.filter(a => shapeIds.includes(a.shapeId)).length;
+    const removeAddresses = contributed > 0 &&
+        confirm(`Also remove the ${contributed} address${contributed !== 1 ? 'es' : ''} the deleted shape${shapeIds.length !== 1 ? 's' : ''} added?`);
+    
+    const removed = shapeIds.reduce((total, id) => total + deleteShape(id, removeAddresses), 0);
+    showToast(removed > 0 ? `🗑️ Shapes deleted with ${removed} address${removed !== 1 ? 'es' : ''}` : '🗑️ Shapes deleted');
+}
+
+// The collection area a saved shape describes, in the form jobs use
+function shapeArea(shape) {
+    const { geometry, properties } = shape.geojson;
+    
+    if (shape.type === 'circle') {
+        const [lng, lat] = geometry.coordinates;
+        return { center: { lat, lng }, radius: properties.radius };
+    }
+    if (shape.type === 'polyline') {
+        return { line: geometry.coordinates.map(([lng, lat]) => ({ lat, lng })), width: properties.width };
+    }
+    return { polygons: geojsonPolygons(geometry) };
+}
+
+// Any area as polygons - circles and corridors are approximated
+function areaToPolygons(area) {
+    if (area.center && area.radius) return [[circleToRing(area.center, area.radius)]];
+    if (area.line && area.width) return corridorToPolygons(area.line, area.width);
+    return areaPolygons(area) || [];
+}
+
+// Put the current list's shapes on the map
+function drawListShapes() {
+    state.drawnItems.clearLayers();
+    
+    // Imported boundaries stay on the map whichever list is selected until they are collected
+    pendingImportedAreas().forEach(item => state.drawnItems.addLayer(item.layer));
+    
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    for (const shape of list.shapes || []) {
+        try {
+            state.drawnItems.addLayer(shapeToLayer(shape));
+        } catch (error) {
+            console.warn(`Could not draw shape ${shape.name}:`, error);
+        }
+    }
+}
+
+function shapeToLayer(shape) {
+    const style = shapeStyle(shape);
+    let layer;
+    
+    if (shape.type === 'circle') {
+        const [lng, lat] = shape.geojson.geometry.coordinates;
+        layer = L.circle([lat, lng], { ...style, radius: shape.geojson.properties.radius });
+    } else if (shape.type === 'rectangle') {
+        layer = L.rectangle(L.geoJSON(shape.geojson).getBounds(), style);
+    } else {
+        layer = L.GeoJSON.geometryToLayer(shape.geojson);
+        layer.setStyle(style);
+    }
+    
+    layer.shapeId = shape.id;
+    layer.bindTooltip(shape.name);
+    return layer;
+}
+
+function shapeStyle(shape) {
+    if (shape.type === 'polyline') {
+        return { color: shape.color, weight: 4 };
+    }
+    return { color: shape.color, fillColor: shape.color, fillOpacity: 0.2, weight: 3 };
+}
+
+function findCurrentShape(shapeId) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    return list ? (list.shapes || []).find(s => s.id === shapeId) : null;
+}
+
+function findShapeLayer(shapeId) {
+    return state.drawnItems.getLayers().find(layer => layer.shapeId === shapeId) || null;
+}
+
+// ========================================
+// Boundary Import
+// ========================================
+
+// GeoJSON, KML and zipped Shapefiles are read in the browser (KML with toGeoJSON, Shapefiles with shpjs,
+// which also reprojects them from their .prj). Their polygons are put on the map as pending areas that
+// can be collected one at a time or all at once, into the current list or into a new list each
+const IMPORT_STYLE = {
+    color: '#06b6d4',
+    fillColor: '#06b6d4',
+    fillOpacity: 0.1,
+    weight: 2,
+    dashArray: '4, 4'
+};
+
+// Feature properties tried first when picking the one that names the imported areas
+const IMPORT_NAME_PROPERTY = /name|territory|title|label/i;
+
+async function importBoundaryFile(file) {
+    let features;
+    
+    try {
+        features = await readBoundaryFile(file);
+    } catch (error) {
+        console.error('Error reading boundary file:', error);
+        showToast(`❌ Could not read ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    
+    const polygons = features.filter(f => f.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type));
+    const skipped = features.length - polygons.length;
+    
+    if (polygons.length === 0) {
+        showToast(`⚠️ No polygons found in ${file.name}`, 'error');
+        return;
+    }
+    
+    clearImportedAreas();
+    
+    const items = [];
+    polygons.forEach(feature => {
+        try {
+            const layer = L.GeoJSON.geometryToLayer(feature);
+            layer.setStyle(IMPORT_STYLE);
+            items.push({ id: generateId(), layer: layer, properties: feature.properties || {}, status: 'pending' });
+        } catch (error) {
+            console.warn('Skipping unreadable feature:', error);
+        }
+    });
+    
+    const propertyKeys = [...new Set(items.flatMap(item => Object.keys(item.properties)))];
+    
+    state.importedAreas = {
+        fileName: file.name.replace(/\.[^.]+$/, ''),
+        items: items,
+        propertyKeys: propertyKeys,
+        nameProperty: propertyKeys.find(key => IMPORT_NAME_PROPERTY.test(key)) || '',
+        target: 'new'
+    };
+    
+    items.forEach(item => {
+        item.layer.bindTooltip(() => importedAreaName(item));
+        state.drawnItems.addLayer(item.layer);
+    });
+    
+    const bounds = L.featureGroup(items.map(item => item.layer)).getBounds();
+    if (bounds.isValid()) state.map.fitBounds(bounds, { padding: [40, 40] });
+    
+    renderImportedAreas();
+    showToast(`📥 ${items.length} area${items.length !== 1 ? 's' : ''} imported from ${file.name}` +
+        (skipped > 0 ? ` (${skipped} feature${skipped !== 1 ? 's' : ''} without polygons skipped)` : ''), 'success');
+}
+
+// Parse a boundary file into GeoJSON features, by its extension
+async function readBoundaryFile(file) {
+    const extension = (file.name.match(/\.([^.]+)$/) || [])[1];
+    
+    switch ((extension || '').toLowerCase()) {
+        case 'geojson':
+        case 'json': {
+            const data = JSON.parse(await file.text());
+            if (data.type === 'FeatureCollection') return data.features || [];
+            if (data.type === 'Feature') return [data];
+            return [{ type: 'Feature', properties: {}, geometry: data }];
+        }
+        case 'kml': {
+            const doc = new DOMParser().parseFromString(await file.text(), 'text/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('not valid KML');
+            }
+            return toGeoJSON.kml(doc).features;
+        }
+        case 'zip': {
+            // A zip with several shapefiles gives one collection per layer
+            const data = await shp(await file.arrayBuffer());
+            return (Array.isArray(data) ? data : [data]).flatMap(collection => collection.features || []);
+        }
+        default:
+            throw new Error('use GeoJSON, KML or a zipped Shapefile');
+    }
+}
+
+function pendingImportedAreas() {
+    return state.importedAreas ? state.importedAreas.items.filter(item => item.status === 'pending') : [];
+}
+
+// Name from the chosen property, or the file name and the area's number
+function importedAreaName(item) {
+    const imported = state.importedAreas;
+    const value = imported.nameProperty ? item.properties[imported.nameProperty] : null;
+    
+    if (value !== null && value !== undefined && String(value).trim()) {
+        return String(value).trim();
+    }
+    return `${imported.fileName} ${imported.items.indexOf(item) + 1}`;
+}
+
+// Collect one imported area through the normal pipeline - returns whether a job was queued
+function collectImportedArea(itemId) {
+    const imported = state.importedAreas;
+    const item = imported && imported.items.find(i => i.id === itemId);
+    if (!item || item.status !== 'pending') return false;
+    
+    const name = importedAreaName(item);
+    
+    // The shape is saved on the list it collects into, which is shown while its job is queued
+    let listId = state.currentListId;
+    if (imported.target === 'new' || !listId) {
+        listId = createList(name);
+    }
+    if (listId !== state.currentListId) {
+        selectList(listId);
+    }
+    
+    if (!collectPolygonLayer(listId, item.layer, name)) {
+        item.layer.shapeId = null;
+        state.drawnItems.addLayer(item.layer);
+        return false;
+    }
+    
+    item.status = 'queued';
+    drawListShapes();
+    renderImportedAreas();
+    return true;
+}
+
+// Save a ready-made polygon as a shape of the current list and queue its collection - the shape is
+// dropped again if no job could be made from it
+function collectPolygonLayer(listId, layer, name) {
+    const shape = addShapeToList(listId, layer, 'polygon', { name: name });
+    if (!shape) return false;
+    
+    if (!createJob(listId, layer, 'polygon', { shapeId: shape.id })) {
+        deleteShape(shape.id, false);
+        return false;
+    }
+    return true;
+}
+
+function collectAllImportedAreas() {
+    const queued = pendingImportedAreas().filter(item => collectImportedArea(item.id)).length;
+    
+    if (queued > 0) {
+        showToast(`🔍 Queued ${queued} imported area${queued !== 1 ? 's' : ''} for collection`);
+    }
+}
+
+// Drop the imported areas that have not been collected
+function clearImportedAreas() {
+    pendingImportedAreas().forEach(item => state.drawnItems.removeLayer(item.layer));
+    state.importedAreas = null;
+    renderImportedAreas();
+}
+
+// Imported areas deleted with the map's delete tool are dropped from the import
+function removeImportedLayers(layers) {
+    if (!state.importedAreas) return;
+    
+    const removed = new Set(layers.getLayers());
+    state.importedAreas.items = state.importedAreas.items.filter(item => !removed.has(item.layer));
+    renderImportedAreas();
+}
+
+function setImportNameProperty(key) {
+    if (!state.importedAreas) return;
+    
+    state.importedAreas.nameProperty = key;
+    renderImportedAreas();
+}
+
+function setImportTarget(target) {
+    if (state.importedAreas) state.importedAreas.target = target;
+}
+
+// ========================================
+// Boundary Search
+// ========================================
+
+// Search results for places with an area - cities, counties, neighborhoods, postal codes - can show
+// their real outline, from the geocoder (Nominatim's polygon_geojson) or from the OSM relation via Overpass.
+// The outline can then be collected like a drawn polygon
+const BOUNDARY_RESULT_TYPES = [
+    'city', 'town', 'village', 'hamlet', 'municipality', 'county', 'state', 'region', 'district',
+    'city_district', 'borough', 'suburb', 'quarter', 'neighbourhood', 'locality', 'localadmin',
+    'administrative', 'postcode', 'postalcode'
+];
+
+const BOUNDARY_CONFIG = {
+    POSTCODE_RADIUS: 10000,      // Meters around a postal code's point to look for its boundary relation
+    TIMEOUT: 60                  // Overpass timeout for boundary queries (seconds)
+};
+
+function isBoundaryResult(result) {
+    return result.osmType === 'relation' || BOUNDARY_RESULT_TYPES.includes(result.type);
+}
+
+function isPostcodeResult(result) {
+    return ['postcode', 'postalcode'].includes(result.type);
+}
+
+// Fetch and show the outline of a search result, with a popup to collect it
+async function showSearchBoundary(result) {
+    const status = document.getElementById('fetch-status');
+    status.textContent = `Loading boundary of ${result.name}...`;
+    
+    let geometry = null;
+    try {
+        geometry = await fetchBoundaryGeometry(result);
+    } catch (error) {
+        console.error('Boundary lookup failed:', error);
+    }
+    
+    status.textContent = 'Ready';
+    
+    if (!geometry) {
+        showToast(`⚠️ No boundary found for ${result.name}`, 'error');
+        return;
+    }
+    
+    clearSearchBoundary();
+    
+    const layer = L.GeoJSON.geometryToLayer({ type: 'Feature', properties: {}, geometry: geometry });
+    layer.setStyle(IMPORT_STYLE);
+    
+    const content = document.createElement('div');
+    content.style.fontFamily = "'DM Sans', sans-serif";
+    content.innerHTML = `
+        <div style="font-weight: 600; margin-bottom: 8px; color: #1f2937;"></div>
+        <button style="padding: 4px 10px; border: 1px solid #3b82f6; border-radius: 6px; background: #3b82f6; color: #fff; cursor: pointer;">Collect addresses</button>
+    `;
+    content.firstElementChild.textContent = result.name;
+    content.querySelector('button').addEventListener('click', () => collectSearchBoundary(result.name));
+    
+    layer.bindPopup(content);
+    state.boundaryLayer = layer.addTo(state.map);
+    state.map.fitBounds(layer.getBounds(), { padding: [40, 40] });
+    layer.openPopup();
+}
+
+// Outline of a search result as a GeoJSON Polygon or MultiPolygon, or null if it has none
+async function fetchBoundaryGeometry(result) {
+    const isArea = geometry => geometry && ['Polygon', 'MultiPolygon'].includes(geometry.type);
+    const osmId = result.osmType && result.osmId ? `${result.osmType[0].toUpperCase()}${result.osmId}` : null;
+    
+    if (osmId && Geocoder.canFetchBoundary()) {
+        try {
+            const geometry = await Geocoder.boundary(osmId);
+            if (isArea(geometry)) return geometry;
+        } catch (error) {
+            console.warn('Geocoder boundary lookup failed, trying Overpass:', error);
+        }
+    }
+    
+    let query = null;
+    if (result.osmType === 'relation') {
+        query = `relation(${Number(result.osmId)});`;
+    } else if (isPostcodeResult(result)) {
+        // Postal codes are often just a point - look for a postal_code boundary around it
+        const code = result.name.replace(/["\\]/g, '');
+        query = `relation["boundary"="postal_code"]["postal_code"="${code}"](around:${BOUNDARY_CONFIG.POSTCODE_RADIUS},${result.lat},${result.lng});`;
+    }
+    if (!query) return null;
+    
+    const data = await Overpass.query(`
+        [out:json][timeout:${BOUNDARY_CONFIG.TIMEOUT}];
+        ${query}
+        out geom;
+    `);
+    const relation = (data.elements || []).find(element => element.type === 'relation');
+    return relation ? relationGeometry(relation) : null;
+}
+
+// Assemble a relation's member ways ("out geom") into a MultiPolygon: outer rings, each with the inner
+// rings that fall inside it as holes
+function relationGeometry(relation) {
+    const ringsWithRole = role => joinRingParts((relation.members || [])
+        .filter(m => m.type === 'way' && m.role === role && m.geometry && m.geometry.length > 1)
+        .map(m => m.geometry.map(p => ({ lat: p.lat, lng: p.lon }))));
+    
+    const outers = ringsWithRole('outer').filter(ring => ring.length >= 3);
+    if (outers.length === 0) return null;
+    
+    const polygons = outers.map(outer => [outer]);
+    for (const inner of ringsWithRole('inner')) {
+        const polygon = polygons.find(rings => isPointInPolygon(inner[0].lat, inner[0].lng, rings[0]));
+        if (polygon) polygon.push(inner);
+    }
+    
+    return polygonsToMultiPolygon(polygons);
+}
+
+// Collect the shown boundary into the current list, or into a new list named after the place
+function collectSearchBoundary(name) {
+    const layer = state.boundaryLayer;
+    if (!layer) return;
+    
+    let listId = state.currentListId;
+    if (!listId) {
+        listId = createList(name);
+        selectList(listId);
+    }
+    
+    if (collectPolygonLayer(listId, layer, name)) {
+        clearSearchBoundary();
+        drawListShapes();
+    }
+}
+
+function clearSearchBoundary() {
+    if (state.boundaryLayer) {
+        state.map.removeLayer(state.boundaryLayer);
+        state.boundaryLayer = null;
+    }
+}
+
+// ========================================
+// Manual Addresses
+// ========================================
+
+// Single addresses can be added without drawing: picked on the map (the spot is reverse geocoded, or a
+// clicked building footprint resolved like collected buildings are) or typed in and forward geocoded
+function togglePickMode() {
+    state.pickMode = !state.pickMode;
+    document.getElementById('toggle-pick').classList.toggle('toggled', state.pickMode);
+    document.getElementById('map').classList.toggle('pick-mode', state.pickMode);
+    
+    showToast(state.pickMode
+        ? '📍 Pick mode - click the map or a building to add its address'
+        : '✏️ Pick mode off');
+}
+
+// Add the address at a clicked spot, or of a clicked building footprint (an Overpass way)
+async function pickAddressAt(latlng, building = null) {
+    const status = document.getElementById('fetch-status');
+    status.textContent = 'Looking up address...';
+    
+    let loc = null;
+    let lat = latlng.lat;
+    let lng = latlng.lng;
+    
+    try {
+        if (building) {
+            const center = elementCenter(building);
+            if (center) ({ lat, lng } = center);
+            
+            // Same order as collection: the building's own tags, its OSM id, then its location
+            if (building.tags && hasStreetAddressTags(building.tags)) {
+                loc = addressFromTags(building.tags);
+            } else if (Geocoder.canLookup()) {
+                const found = (await lookupBuildings([`W${building.id}`])).get(`W${building.id}`);
+                loc = found && found.houseNumber ? found : null;
+            }
+        }
+        if (!loc) {
+            loc = await reverseGeocode(lat, lng);
+        }
+    } catch (error) {
+        status.textContent = 'Ready';
+        showToast(`❌ ${Geocoder.label()} is not answering - try again in a moment`, 'error');
+        return;
+    }
+    
+    status.textContent = 'Ready';
+    
+    if (!loc) {
+        showToast('⚠️ No address found at this spot', 'error');
+        return;
+    }
+    
+    // Same OSM reference as a collected row ("way/123"), so a refresh pairs them by building
+    addManualAddress(buildAddressRecord(loc, lat, lng, 'picked', building ? `way/${building.id}` : null));
+}
+
+// Append a hand-added address to the current list (a new list if none is selected)
+function addManualAddress(record) {
+    if (!state.currentListId) {
+        selectList(createList('Untitled List'));
+    }
+    
+    if (addAddressesToCurrentList([record]) === 0) {
+        showToast(`ℹ️ ${record.address} is already in the list`);
+        return false;
+    }
+    
+    showToast(`📍 Added ${record.address}`, 'success');
+    return true;
+}
+
+function openManualAddressModal() {
+    ['manual-address', 'manual-city', 'manual-state', 'manual-zip'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('manual-address-error').classList.add('hidden');
+    document.getElementById('manual-address-modal').classList.add('active');
+    document.getElementById('manual-address').focus();
+}
+
+function closeManualAddressModal() {
+    document.getElementById('manual-address-modal').classList.remove('active');
+}
+
+// Forward geocode the typed address for its coordinates, then add it
+async function saveManualAddress() {
+    const fields = {
+        address: document.getElementById('manual-address').value.trim(),
+        city: document.getElementById('manual-city').value.trim(),
+        state: document.getElementById('manual-state').value.trim(),
+        zipcode: document.getElementById('manual-zip').value.trim()
+    };
+    const error = document.getElementById('manual-address-error');
+    const saveBtn = document.getElementById('manual-address-save');
+    
+    if (!fields.address) {
+        document.getElementById('manual-address').focus();
+        return;
+    }
+    
+    const query = [fields.address, fields.city, [fields.state, fields.zipcode].filter(Boolean).join(' ')]
+        .filter(Boolean)
+        .join(', ');
+    
+    saveBtn.disabled = true;
+    let coords = null;
+    try {
+        coords = await Geocoder.geocode(query);
+    } catch (e) {
+        console.warn('Geocoding manual address failed:', e);
+    }
+    saveBtn.disabled = false;
+    
+    if (!coords) {
+        error.textContent = `${Geocoder.label()} could not find this address - check it and try again.`;
+        error.classList.remove('hidden');
+        return;
+    }
+    
+    closeManualAddressModal();
+    if (addManualAddress(buildAddressRecord(fields, coords.lat, coords.lng, 'manual'))) {
+        state.map.setView([coords.lat, coords.lng], Math.max(state.map.getZoom(), 17));
+    }
+}
+
+// ========================================
+// List Refresh
+// ========================================
+
+// A refresh collects every shape of a list again without touching the list - `list.refresh` tracks it
+// and its addresses are staged in ListSnapshots. Once all of its jobs are finished the result is compared
+// with the list - new addresses, addresses that are gone, and addresses whose city, state or zipcode
+// changed - and can be accepted or discarded. Accepting keeps the list as it was as its previous version
+// (`list.previousVersion` holds the date, ListSnapshots the addresses)
+const REFRESH_DIFF_FIELDS = ['city', 'state', 'zipcode'];
+const DIFF_DISPLAY_LIMIT = 500;      // Rows shown per section of the diff
+
+function startListRefresh(listId) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list) return;
+    
+    if (!list.shapes || list.shapes.length === 0) {
+        showToast('⚠️ This list has no saved shapes to refresh', 'error');
+        return;
+    }
+    if (list.refresh && list.refresh.status === 'running') {
+        showToast('⏳ This list is already being refreshed');
+        return;
+    }
+    
+    // Jobs are made from the shapes' map layers, which exist for the list on screen
+    if (state.currentListId !== listId) {
+        selectList(listId);
+    } else {
+        drawListShapes();
+    }
+    
+    list.refresh = {
+        id: generateId(),
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        completedShapeIds: []
+    };
+    // An empty snapshot to add to - a missing one later means the staged addresses were lost
+    ListSnapshots.set(ListSnapshots.refreshKey(list.refresh.id), []);
+    
+    let queued = 0;
+    for (const shape of list.shapes) {
+        const layer = findShapeLayer(shape.id);
+        const area = shapeArea(shape);
+        
+        if (layer && createJob(list.id, layer, jobShapeType(shape.type), { shapeId: shape.id, width: area.width, refreshId: list.refresh.id })) {
+            queued++;
+        }
+    }
+    
+    if (queued === 0) {
+        ListSnapshots.delete(ListSnapshots.refreshKey(list.refresh.id));
+        delete list.refresh;
+    }
+    
+    Storage.saveLists();
+    renderLists();
+}
+
+// Keep a refresh job's addresses on the pending refresh - returns how many were new
+async function stageRefreshAddresses(job, addresses) {
+    const list = state.lists.find(l => l.id === job.listId);
+    const refresh = list && list.refresh;
+    if (!refresh || refresh.id !== job.refreshId) return 0;
+    
+    const key = ListSnapshots.refreshKey(refresh.id);
+    const staged = await ListSnapshots.get(key);
+    
+    // Without what the earlier tiles found, the refresh would report their addresses as gone
+    if (!staged) {
+        dropLostRefresh(list);
+        return 0;
+    }
+    
+    const known = new Set(staged.map(addressIdentity));
+    let added = 0;
+    for (const addr of addresses) {
+        const identity = addressIdentity(addr);
+        if (!known.has(identity)) {
+            known.add(identity);
+            staged.push(addr);
+            added++;
+        }
+    }
+    
+    await ListSnapshots.set(key, staged);
+    return added;
+}
+
+// Called whenever a refresh job stops - the refresh is ready for review once none of its jobs is left
+function finishRefreshJob(job) {
+    if (!job.refreshId) return;
+    
+    const list = state.lists.find(l => l.id === job.listId);
+    const refresh = list && list.refresh;
+    if (!refresh || refresh.id !== job.refreshId) return;
+    
+    // Only shapes collected without failures can tell which addresses are gone
+    if (job.status === 'done' && job.failedTiles === 0) {
+        refresh.completedShapeIds.push(job.shapeId);
+    }
+    
+    const pending = state.jobs.some(j => j.refreshId === refresh.id && ['running', 'queued', 'paused'].includes(j.status));
+    if (!pending) {
+        refresh.status = 'ready';
+        refresh.finishedAt = new Date().toISOString();
+    }
+    
+    Storage.saveLists();
+    if (pending) return;
+    
+    renderLists();
+    
+    if (list.id === state.currentListId) {
+        openDiffModal(list.id, 'refresh');
+    } else {
+        showToast(`🔄 Refresh of ${list.name} is ready to review`, 'success');
+    }
+}
+
+function discardRefresh(listId) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list || !list.refresh) return;
+    
+    state.jobs
+        .filter(j => j.refreshId === list.refresh.id)
+        .forEach(j => cancelJob(j.id));
+    
+    ListSnapshots.delete(ListSnapshots.refreshKey(list.refresh.id));
+    delete list.refresh;
+    Storage.saveLists();
+    renderLists();
+}
+
+// A refresh whose staged addresses are gone (IndexedDB unavailable across a reload) can't be compared
+function dropLostRefresh(list) {
+    showToast(`⚠️ The refresh of ${list.name} lost its collected addresses and was discarded`, 'error');
+    discardRefresh(list.id);
+}
+
+// Apply a finished refresh to the list, keeping the list as it was as its previous version
+async function acceptRefresh(listId) {
+    const list = state.lists.find(l => l.id === listId);
+    const refresh = list && list.refresh;
+    if (!refresh || refresh.status !== 'ready') return null;
+    
+    const diff = await getRefreshDiff(list);
+    if (!diff || list.refresh !== refresh) return null;
+    
+    ListSnapshots.set(ListSnapshots.previousKey(list.id), JSON.parse(JSON.stringify(list.addresses)));
+    list.previousVersion = { savedAt: new Date().toISOString() };
+    
+    const goneIds = new Set(diff.removed.map(a => a.id));
+    list.addresses = list.addresses.filter(a => !goneIds.has(a.id));
+    
+    // Changed addresses are updated in place, so they keep their id and anything edited by hand
+    diff.changed.forEach(change => {
+        change.fields.forEach(field => { change.before[field] = change.after[field]; });
+    });
+    list.addresses.push(...diff.added);
+    
+    (list.shapes || []).forEach(shape => {
+        shape.addressCount = list.addresses.filter(a => a.shapeId === shape.id).length;
+    });
+    
+    ListSnapshots.delete(ListSnapshots.refreshKey(refresh.id));
+    delete list.refresh;
+    Storage.saveLists();
+    
+    renderLists();
+    renderShapes();
+    refreshAddressViews(list);
+    
+    return diff;
+}
+
+// Compare the list with its pending refresh. An address missing from the refresh only counts as gone
+// if it lies in a shape the refresh collected completely - and never if it was added or edited by hand,
+// since OpenStreetMap can't vouch for it either way. Null if the refresh's addresses are gone
+async function getRefreshDiff(list) {
+    const refresh = list.refresh;
+    const staged = await ListSnapshots.get(ListSnapshots.refreshKey(refresh.id));
+    if (!staged) return null;
+    
+    const completedAreas = (list.shapes || [])
+        .filter(shape => refresh.completedShapeIds.includes(shape.id))
+        .map(shapeArea);
+    
+    const inScope = address => !MANUAL_SOURCES.includes(address.source) && !(address.edited || []).length &&
+        (refresh.completedShapeIds.includes(address.shapeId) ||
+            completedAreas.some(area => isInsideArea(address.lat, address.lng, area)));
+    
+    return diffAddresses(list.addresses, staged, inScope);
+}
+
+// Match two versions of a list, by OSM element and unit first, then by street address and unit
+// (an address fixed by hand also matches by what it was collected as). Returns { added, removed,
+// changed: [{ before, after, fields }] } - removed only lists addresses in scope, fields leaves out edited ones
+function diffAddresses(before, after, inScope = () => true) {
+    const osmKey = a => a.osm ? `${a.osm}|${(a.unit || '').toLowerCase()}` : null;
+    const textKey = a => `${a.address.toLowerCase()}|${(a.unit || '').toLowerCase()}`;
+    const textKeys = a => [...new Set([textKey(a), ...(a.collected ? [textKey({ ...a, ...a.collected })] : [])])];
+    
+    const byOsm = new Map();
+    const byText = new Map();
+    before.forEach(a => {
+        const osm = osmKey(a);
+        if (osm) byOsm.set(osm, [...(byOsm.get(osm) || []), a]);
+        textKeys(a).forEach(key => byText.set(key, [...(byText.get(key) || []), a]));
+    });
+    
+    const matched = new Set();
+    const takeMatch = candidates => {
+        const match = (candidates || []).find(a => !matched.has(a));
+        if (match) matched.add(match);
+        return match;
+    };
+    
+    const diff = { added: [], removed: [], changed: [] };
+    
+    for (const address of after) {
+        const match = takeMatch(byOsm.get(osmKey(address))) || takeMatch(byText.get(textKey(address)));
+        
+        if (!match) {
+            diff.added.push(address);
+            continue;
+        }
+        
+        const fields = REFRESH_DIFF_FIELDS.filter(field => !(match.edited || []).includes(field) &&
+            (match[field] || '') !== (address[field] || ''));
+        if (fields.length > 0) {
+            diff.changed.push({ before: match, after: address, fields: fields });
+        }
+    }
+    
+    diff.removed = before.filter(a => !matched.has(a) && inScope(a));
+    return diff;
+}
+
+// ========================================
+// Collection Jobs
+// ========================================
+
+// One job per drawn shape. Jobs run one at a time; each tile is a checkpoint,
+// so a paused, cancelled or interrupted job never loses finished tiles.
+const JOB_STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    paused: 'Paused',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const FINISHED_JOB_STATUSES = ['done', 'failed', 'cancelled'];
+
+// Finished jobs kept in the panel - older ones are dropped as new ones finish
+const MAX_FINISHED_JOBS = 20;
+
+let jobRunnerActive = false;
+
+// Create a job for a freshly drawn shape and queue it
+// Options: shapeId (the list shape the job collects for), width (corridor width, defaults to the
+// corridor options), alreadyCollected (polygons collected before - carved out so only new ground is fetched),
+// refreshId (the list refresh the job belongs to, see startListRefresh)
+function createJob(listId, layer, shapeType, options = {}) {
+    const bounds = layer.getBounds();
+    
+    if (!bounds || !bounds.isValid()) {
+        showToast('❌ Invalid area selected', 'error');
+        return null;
+    }
+    
+    // Store the shape as plain data so the job can be resumed after a reload
+    // Areas excluded from the list are carved out of the shape
+    const list = state.lists.find(l => l.id === listId);
+    const area = {
+        polygons: null,
+        center: null,
+        radius: null,
+        exclusions: ((list && list.exclusions) || []).map(e => ({ id: e.id, polygons: e.polygons }))
+    };
+    
+    if (options.alreadyCollected) {
+        area.exclusions.push({ id: 'already-collected', polygons: options.alreadyCollected, byCenter: true });
+    }
+    
+    let gridBounds = bounds;
+    let streetMatch = null;
+    
+    if (shapeType === 'circle') {
+        const center = layer.getLatLng();
+        area.center = { lat: center.lat, lng: center.lng };
+        area.radius = layer.getRadius();
+    } else if (shapeType === 'corridor') {
+        const corridor = getCorridorOptions();
+        area.line = layer.getLatLngs().map(p => ({ lat: p.lat, lng: p.lng }));
+        area.width = options.width || corridor.width;
+        streetMatch = corridor.matchStreet ? { name: corridor.streetName } : null;
+        document.getElementById('corridor-street-name').value = '';
+        
+        // The line's own bounds miss the corridor on either side
+        const latPad = corridor.width / METERS_PER_DEGREE;
+        const lngPad = corridor.width / (METERS_PER_DEGREE * Math.cos(bounds.getCenter().lat * Math.PI / 180));
+        gridBounds = L.latLngBounds(
+            [bounds.getSouth() - latPad, bounds.getWest() - lngPad],
+            [bounds.getNorth() + latPad, bounds.getEast() + lngPad]
+        );
+    } else if (layer.getLatLngs) {
+        area.polygons = extractPolygons(layer.getLatLngs());
+    }
+    
+    const cells = generateGridCells(gridBounds, area);
+    
+    if (cells.length === 0) {
+        if (options.alreadyCollected) {
+            showToast('✅ Nothing new to collect');
+        } else {
+            showToast('❌ Invalid area selected', 'error');
+        }
+        return null;
+    }
+    
+    const job = {
+        id: generateId(),
+        listId: listId,
+        shapeType: shapeType,
+        // The list shape this job collects for - its addresses are tagged with it
+        shapeId: options.shapeId || null,
+        // Refresh jobs collect into the list's pending refresh instead of the list itself
+        refreshId: options.refreshId || null,
+        area: area,
+        // The list's filter when the shape was drawn - later changes apply to new shapes only
+        buildingFilter: getBuildingFilter(list),
+        // Corridors only: keep addresses on this street (an empty name is detected from the line)
+        streetMatch: streetMatch,
+        cells: cells,
+        // Kept for the job's row once its cells are dropped (see compactFinishedJob)
+        cellCount: cells.length,
+        nextCell: 0,
+        seenBuildings: [],
+        status: 'queued',
+        buildingsFound: 0,
+        buildingsProcessed: 0,
+        addressesAdded: 0,
+        failedTiles: 0,
+        error: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    state.jobs.push(job);
+    Storage.saveJobs();
+    renderJobs();
+    
+    showToast(`🔍 Queued ${cells.length} tile${cells.length !== 1 ? 's' : ''} for collection`);
+    runJobQueue();
+    
+    return job.id;
+}
+
+// Work through queued jobs one at a time so they never race for the network or the status bar
+async function runJobQueue() {
+    if (jobRunnerActive) return;
+    jobRunnerActive = true;
+    
+    try {
+        let job;
+        while ((job = state.jobs.find(j => j.status === 'queued'))) {
+            await runJob(job);
+        }
+    } finally {
+        jobRunnerActive = false;
+    }
+}
+
+async function runJob(job) {
+    const progressContainer = document.getElementById('fetch-progress');
+    
+    job.status = 'running';
+    job.error = null;
+    touchJob(job);
+    progressContainer.classList.add('active');
+    
+    const seenBuildings = new Set(job.seenBuildings);
+    // Excluded areas added while the job runs are still applied to every result
+    const areaFilters = buildOverpassAreaFilters(job.area);
+    
+    if (job.streetMatch && !job.streetMatch.name) {
+        await detectJobStreet(job);
+    }
+    
+    while (job.nextCell < job.cells.length && job.status === 'running') {
+        if (!state.lists.some(l => l.id === job.listId)) {
+            job.status = 'failed';
+            job.error = 'List was deleted';
+            break;
+        }
+        
+        const cell = job.cells[job.nextCell];
+        const foundBefore = job.buildingsFound;
+        const processedBefore = job.buildingsProcessed;
+        job.tileProgress = 0;
+        updateJobProgress(job);
+        
+        try {
+            const result = await fetchAddressesForCell(cell, job.area, {
+                seenBuildings: seenBuildings,
+                areaFilters: areaFilters,
+                buildingFilter: getBuildingFilter(job),
+                streetName: job.streetMatch ? job.streetMatch.name : null,
+                shouldStop: () => job.status !== 'running',
+                onFound: (found) => {
+                    job.buildingsFound = foundBefore + found;
+                    updateJobProgress(job);
+                },
+                onProgress: (found, processed) => {
+                    job.buildingsProcessed = processedBefore + processed;
+                    job.tileProgress = found > 0 ? processed / found : 1;
+                    updateJobProgress(job);
+                }
+            });
+            
+            if (result.stopped) {
+                // Roll back the partial tile - it is redone from scratch on resume
+                job.buildingsFound = foundBefore;
+                job.buildingsProcessed = processedBefore;
+                break;
+            }
+            
+            result.buildingKeys.forEach(key => seenBuildings.add(key));
+            job.buildingsFound = foundBefore + result.buildingsFound;
+            job.buildingsProcessed = processedBefore + result.buildingsProcessed;
+            
+            // Fill the list in progressively as each tile finishes
+            if (result.addresses.length > 0) {
+                if (job.shapeId) {
+                    result.addresses.forEach(address => { address.shapeId = job.shapeId; });
+                }
+                if (job.refreshId) {
+                    job.addressesAdded += await stageRefreshAddresses(job, result.addresses);
+                } else {
+                    const added = addAddressesToList(job.listId, result.addresses);
+                    job.addressesAdded += added;
+                    recordShapeAddresses(job.listId, job.shapeId, added);
+                }
+            }
+        } catch (error) {
+            console.warn(`Tile ${job.nextCell + 1}/${job.cells.length} failed:`, error);
+            job.buildingsFound = foundBefore;
+            job.buildingsProcessed = processedBefore;
+            job.failedTiles++;
+            job.error = error.message;
+            
+            // Query errors reported by Overpass itself are worth telling the user right away
+            if (error.remark) {
+                showToast(`⚠️ Tile ${job.nextCell + 1} failed - ${error.message}`, 'error');
+            }
+        }
+        
+        job.nextCell++;
+        job.tileProgress = 0;
+        job.seenBuildings = Array.from(seenBuildings);
+        touchJob(job);
+    }
+    
+    if (job.status === 'running') {
+        job.status = job.failedTiles === job.cells.length ? 'failed' : 'done';
+        if (job.status === 'done' && job.failedTiles === 0) job.error = null;
+    }
+    
+    compactFinishedJob(job);
+    touchJob(job);
+    finishJobStatus(job);
+    finishRefreshJob(job);
+    
+    if (!state.jobs.some(j => j.status === 'queued')) {
+        setTimeout(() => progressContainer.classList.remove('active'), 2000);
+    }
+}
+
+// A finished job never runs again - drop its cells and building keys so the jobs don't
+// fill the localStorage quota the lists share, and prune the oldest finished jobs
+function compactFinishedJob(job) {
+    if (!FINISHED_JOB_STATUSES.includes(job.status)) return;
+    
+    job.cellCount = getJobCellCount(job);
+    delete job.cells;
+    delete job.seenBuildings;
+    
+    const finished = state.jobs.filter(j => FINISHED_JOB_STATUSES.includes(j.status));
+    const excess = finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0));
+    state.jobs = state.jobs.filter(j => !excess.includes(j));
+}
+
+// Jobs saved before cellCount existed only have their cells
+function getJobCellCount(job) {
+    return job.cellCount || (job.cells ? job.cells.length : 0);
+}
+
+// Persist a job checkpoint and refresh the panel
+function touchJob(job) {
+    job.updatedAt = new Date().toISOString();
+    Storage.saveJobs();
+    renderJobs();
+}
+
+function getJobProgress(job) {
+    if (job.status === 'done') return 100;
+    return Math.round(((job.nextCell + (job.tileProgress || 0)) / getJobCellCount(job)) * 100);
+}
+
+function describeJob(job) {
+    const tile = Math.min(job.nextCell + 1, getJobCellCount(job));
+    return `Tile ${tile}/${getJobCellCount(job)} · ${job.buildingsFound} buildings found · ${job.buildingsProcessed} processed`;
+}
+
+function describeJobCounts(job) {
+    const failedNote = job.failedTiles > 0 ? ` · ${job.failedTiles} failed` : '';
+    return `${describeJob(job)} · ${job.addressesAdded} added${failedNote}`;
+}
+
+// Show the running job in the status bar and its row in the jobs panel
+function updateJobProgress(job) {
+    const fetchStatus = document.getElementById('fetch-status');
+    const progressBar = document.getElementById('fetch-progress-bar');
+    
+    fetchStatus.textContent = describeJob(job);
+    fetchStatus.className = 'status-item loading';
+    progressBar.style.width = `${getJobProgress(job)}%`;
+    
+    // Patch the job's row in place - a full re-render would swallow clicks on its buttons
+    const item = document.querySelector(`.job-item[data-job-id="${job.id}"]`);
+    if (!item) {
+        renderJobs();
+        return;
+    }
+    
+    item.querySelector('.job-progress-bar').style.width = `${getJobProgress(job)}%`;
+    item.querySelector('.job-item-meta').textContent = describeJobCounts(job);
+}
+
+// Report how a job ended in the status bar and a toast
+function finishJobStatus(job) {
+    const fetchStatus = document.getElementById('fetch-status');
+    const progressBar = document.getElementById('fetch-progress-bar');
+    
+    const summary = `${job.buildingsProcessed} of ${job.buildingsFound} buildings processed`;
+    const failedNote = job.failedTiles > 0 ? `, ${job.failedTiles} tile${job.failedTiles !== 1 ? 's' : ''} failed` : '';
+    
+    // Paused and resumed before the run stopped - the queue picks it up again right away
+    if (job.status === 'queued') return;
+    
+    fetchStatus.className = 'status-item';
+    
+    if (job.status === 'paused') {
+        fetchStatus.textContent = 'Paused';
+        showToast('⏸️ Collection paused');
+        return;
+    }
+    
+    if (job.status === 'cancelled') {
+        fetchStatus.textContent = 'Cancelled';
+        showToast(`⏹️ Collection cancelled (${job.addressesAdded} addresses kept)`);
+        return;
+    }
+    
+    progressBar.style.width = '100%';
+    
+    // A refresh reports once all of its shapes are done
+    if (job.refreshId && job.status === 'done') {
+        fetchStatus.textContent = `${job.addressesAdded} addresses found for refresh · ${summary}${failedNote}`;
+        return;
+    }
+    
+    if (job.status === 'failed') {
+        fetchStatus.textContent = 'Error';
+        fetchStatus.className = 'status-item error';
+        showToast(`❌ Error fetching addresses${job.error ? ': ' + job.error : ''}`, 'error');
+    } else if (job.buildingsFound === 0) {
+        fetchStatus.textContent = 'No buildings in area';
+        showToast('⚠️ No buildings found inside the drawn area');
+    } else if (job.addressesAdded > 0) {
+        fetchStatus.textContent = `${job.addressesAdded} addresses · ${summary}${failedNote}`;
+        showToast(`✅ Added ${job.addressesAdded} addresses (${summary}${failedNote})`, 'success');
+    } else {
+        fetchStatus.textContent = `No addresses · ${summary}${failedNote}`;
+        showToast(`⚠️ Could not get addresses for buildings (${summary}${failedNote})`);
+    }
+    
+    console.log(`Job ${job.id} ${job.status}: ${job.addressesAdded} addresses from ${job.buildingsProcessed}/${job.buildingsFound} buildings in ${getJobCellCount(job)} tiles`);
+}
+
+function pauseJob(jobId) {
+    const job = state.jobs.find(j => j.id === jobId);
+    if (!job || (job.status !== 'running' && job.status !== 'queued')) return;
+    
+    // A running job notices this between batches and stops at the current tile
+    job.status = 'paused';
+    touchJob(job);
+}
+
+function resumeJob(jobId) {
+    const job = state.jobs.find(j => j.id === jobId);
+    if (!job || job.status !== 'paused') return;
+    
+    job.status = 'queued';
+    touchJob(job);
+    runJobQueue();
+}
+
+function cancelJob(jobId) {
+    const job = state.jobs.find(j => j.id === jobId);
+    if (!job || !['running', 'queued', 'paused'].includes(job.status)) return;
+    
+    const wasRunning = job.status === 'running';
+    job.status = 'cancelled';
+    // A running job drops its cells itself once it stops
+    if (!wasRunning) compactFinishedJob(job);
+    touchJob(job);
+    
+    // A running job reports its own cancellation once it stops
+    if (!wasRunning) {
+        showToast(`⏹️ Collection cancelled (${job.addressesAdded} addresses kept)`);
+        finishRefreshJob(job);
+    }
+}
+
+function removeJob(jobId) {
+    const index = state.jobs.findIndex(j => j.id === jobId);
+    if (index === -1 || state.jobs[index].status === 'running') return;
+    
+    state.jobs.splice(index, 1);
+    Storage.saveJobs();
+    renderJobs();
+}
+
+function clearFinishedJobs() {
+    state.jobs = state.jobs.filter(j => !FINISHED_JOB_STATUSES.includes(j.status));
+    Storage.saveJobs();
+    renderJobs();
+}
+
+// Jobs that were running when the page closed come back paused, ready to resume
+function restoreInterruptedJobs() {
+    let interrupted = 0;
+    
+    // Jobs that finished before they were compacted
+    state.jobs.filter(j => FINISHED_JOB_STATUSES.includes(j.status)).forEach(compactFinishedJob);
+    
+    for (const job of state.jobs) {
+        job.tileProgress = 0;
+        if (job.status === 'running' || job.status === 'queued') {
+            job.status = 'paused';
+            interrupted++;
+        }
+    }
+    
+    Storage.saveJobs();
+    
+    if (interrupted > 0) {
+        showToast(`⏸️ ${interrupted} collection job${interrupted !== 1 ? 's were' : ' was'} interrupted - resume from the jobs panel`);
+    }
+}
+
+// ========================================
+// List Management
+// ========================================
+
+function createList(name) {
+    const list = {
+        id: generateId(),
+        name: name || 'Untitled List',
+        createdAt: new Date().toISOString(),
+        addresses: []
+    };
+    
+    state.lists.push(list);
+    Storage.saveLists();
+    renderLists();
+    
+    return list.id;
+}
+
+function selectList(listId) {
+    state.currentListId = listId;
+    
+    // Update UI
+    document.querySelectorAll('.list-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.listId === listId);
+    });
+    
+    resetAddressTableFilters();
+    
+    const list = state.lists.find(l => l.id === listId);
+    if (list) {
+        document.getElementById('current-list-name').textContent = list.name;
+        document.getElementById('export-button').disabled = list.addresses.length === 0;
+        renderAddresses(list.addresses);
+        updateAddressMarkers(list.addresses);
+        updateEnrichButtonState();
+    } else {
+        updateAddressMarkers([]);
+        document.getElementById('enrich-addresses').disabled = true;
+    }
+    
+    renderBuildingFilter();
+    renderExclusions();
+    drawListShapes();
+    renderShapes();
+}
+
+function deleteList(listId) {
+    const index = state.lists.findIndex(l => l.id === listId);
+    if (index !== -1) {
+        const [list] = state.lists.splice(index, 1);
+        Storage.saveLists();
+        
+        if (list.refresh) ListSnapshots.delete(ListSnapshots.refreshKey(list.refresh.id));
+        ListSnapshots.delete(ListSnapshots.previousKey(list.id));
+        
+        // Stop any collection still feeding this list
+        state.jobs
+            .filter(j => j.listId === listId)
+            .forEach(j => cancelJob(j.id));
+        
+        if (state.currentListId === listId) {
+            state.currentListId = null;
+            document.getElementById('current-list-name').textContent = 'No List Selected';
+            document.getElementById('export-button').disabled = true;
+            document.getElementById('enrich-addresses').disabled = true;
+            renderAddresses([]);
+            updateAddressMarkers([]);
+            renderBuildingFilter();
+            renderExclusions();
+            drawListShapes();
+            renderShapes();
+        }
+        
+        renderLists();
+    }
+}
+
+function addAddressesToCurrentList(addresses) {
+    return addAddressesToList(state.currentListId, addresses);
+}
+
+// Add addresses to a specific list - returns how many were new
+function addAddressesToList(listId, addresses) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list) return 0;
+    
+    const newAddresses = [];
+    
+    // Add only unique addresses
+    const known = new Set(list.addresses.map(addressIdentity));
+    for (const addr of addresses) {
+        const identity = addressIdentity(addr);
+        if (!known.has(identity)) {
+            known.add(identity);
+            list.addresses.push(addr);
+            newAddresses.push(addr);
+        }
+    }
+    
+    Storage.saveLists();
+    renderLists();
+    
+    // Only redraw the table and pins if this list is on screen - the pins already there stay
+    if (list.id === state.currentListId) {
+        renderAddresses(list.addresses);
+        addAddressMarkers(newAddresses);
+        document.getElementById('export-button').disabled = list.addresses.length === 0;
+        updateEnrichButtonState();
+    }
+    
+    return newAddresses.length;
+}
+
+function deleteAddress(addressId) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    const index = list.addresses.findIndex(a => a.id === addressId);
+    if (index !== -1) {
+        list.addresses.splice(index, 1);
+        Storage.saveLists();
+        renderAddresses(list.addresses);
+        updateAddressMarkers(list.addresses);
+        renderLists();
+        document.getElementById('export-button').disabled = list.addresses.length === 0;
+    }
+}
+
+// Fields that can be edited in the addresses table, and how an edit is checked
+const EDITABLE_ADDRESS_FIELDS = {
+    address: { label: 'Address', required: true },
+    unit: { label: 'Unit' },
+    city: { label: 'City' },
+    state: { label: 'State' },
+    zipcode: { label: 'Zip', pattern: /^[a-z0-9][a-z0-9 -]{1,9}$/i, hint: '2-10 letters, digits, spaces or dashes' },
+    lat: { label: 'Latitude', coordinate: true, min: -90, max: 90 },
+    lng: { label: 'Longitude', coordinate: true, min: -180, max: 180 }
+};
+
+// Check an edited value - returns { value } with the value as stored, or { error }
+function validateAddressField(field, raw) {
+    const rules = EDITABLE_ADDRESS_FIELDS[field];
+    const value = String(raw).trim();
+    
+    if (!rules) return { error: `${field} cannot be edited` };
+    if (rules.required && !value) return { error: `${rules.label} cannot be empty` };
+    
+    if (rules.coordinate) {
+        const number = Number(value);
+        if (!value || isNaN(number) || number < rules.min || number > rules.max) {
+            return { error: `${rules.label} must be a number from ${rules.min} to ${rules.max}` };
+        }
+        return { value: number.toFixed(6) };
+    }
+    
+    if (rules.pattern && value && !rules.pattern.test(value)) {
+        return { error: `${rules.label}: ${rules.hint}` };
+    }
+    return { value: value };
+}
+
+// Save an edit to one field of an address in the current list - returns an error message, or null once saved
+function updateAddressField(addressId, field, raw) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    const address = list && list.addresses.find(a => a.id === addressId);
+    if (!address) return 'Address not found';
+    
+    const result = validateAddressField(field, raw);
+    if (result.error) return result.error;
+    
+    if (address[field] !== result.value) {
+        markAddressEdited(address, field);
+        address[field] = result.value;
+        saveAddressEdit(list, address);
+    }
+    return null;
+}
+
+// Remember which fields were fixed by hand (`edited`) so a refresh leaves them alone, and what a fixed
+// street address or unit was collected as (`collected`) so the refresh can still match the row
+function markAddressEdited(address, field) {
+    if (field === 'address' || field === 'unit') {
+        address.collected = address.collected || {};
+        if (!(field in address.collected)) address.collected[field] = address[field] || '';
+    }
+    address.edited = [...new Set([...(address.edited || []), field])];
+}
+
+// A marker dragged to a new spot moves its address there. Returns a function that puts it back,
+// or null if there was no such address
+function moveAddress(addressId, lat, lng) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    const address = list && list.addresses.find(a => a.id === addressId);
+    if (!address) return null;
+    
+    const previous = { lat: address.lat, lng: address.lng, edited: address.edited };
+    
+    address.lat = lat.toFixed(6);
+    address.lng = lng.toFixed(6);
+    markAddressEdited(address, 'lat');
+    markAddressEdited(address, 'lng');
+    saveAddressEdit(list, address);
+    
+    return () => {
+        // Nothing to undo once the address is gone or another list is on screen
+        if (list.id !== state.currentListId || !list.addresses.includes(address)) return;
+        
+        address.lat = previous.lat;
+        address.lng = previous.lng;
+        if (previous.edited) {
+            address.edited = previous.edited;
+        } else {
+            delete address.edited;
+        }
+        saveAddressEdit(list, address);
+    };
+}
+
+function saveAddressEdit(list, address) {
+    Storage.saveLists();
+    renderAddresses(list.addresses);
+    updateAddressMarker(address);
+    updateEnrichButtonState();
+}
+
+// Addresses are duplicates when street address, unit, city and zipcode all agree - this key is the same for both
+function addressIdentity(address) {
+    return JSON.stringify([address.address, address.unit || '', address.city, address.zipcode]);
+}
+
+// Redraw the table and pins of a list on screen after addresses were removed in bulk
+function refreshAddressViews(list) {
+    if (list.id !== state.currentListId) return;
+    
+    renderAddresses(list.addresses);
+    updateAddressMarkers(list.addresses);
+    document.getElementById('export-button').disabled = list.addresses.length === 0;
+    updateEnrichButtonState();
+}
+
+// ========================================
+// Address Markers (Pins)
+// ========================================
+
+// Create custom pin icon that's visible on satellite imagery
+function createPinIcon() {
+    return L.divIcon({
+        className: 'custom-pin',
+        html: `
+            <div style="
+                width: 40px;
+                height: 40px;
+                background: #3b82f6;
+                border: 4px solid white;
+                border-radius: 50% 50% 50% 0;
+                transform: rotate(-45deg);
+                box-shadow: 0 4px 14px rgba(0,0,0,0.6), 0 0 0 2px rgba(59, 130, 246, 0.3);
+                position: relative;
+                z-index: 1000;
+            ">
+                <div style="
+                    position: absolute;
+                    top: 50%;
+                    left: 50%;
+                    transform: translate(-50%, -50%) rotate(45deg);
+                    width: 14px;
+                    height: 14px;
+                    background: white;
+                    border-radius: 50%;
+                    box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+                "></div>
+            </div>
+        `,
+        iconSize: [40, 40],
+        iconAnchor: [20, 40],
+        popupAnchor: [0, -40]
+    });
+}
+
+// Switch pin clustering on or off - the choice is saved and shared with the CSV viewer
+function toggleClustering() {
+    state.addressMarkers = MarkerLayer.toggle(state.map, state.addressMarkers);
+    renderClusteringToggle();
+    
+    showToast(MarkerLayer.isClustered() ? '📍 Pins grouped into clusters' : '📍 Showing every pin');
+}
+
+function renderClusteringToggle() {
+    const button = document.getElementById('toggle-clustering');
+    button.classList.toggle('toggled', MarkerLayer.isClustered());
+    button.disabled = !MarkerLayer.isAvailable();
+}
+
+// Redraw every pin of a list - used when switching lists or removing addresses.
+// Collection adds its new addresses with addAddressMarkers instead
+function updateAddressMarkers(addresses) {
+    state.addressMarkerIndex = new Map();
+    state.addressMarkers = MarkerLayer.setMarkers(state.map, state.addressMarkers, createAddressMarkers(addresses || []));
+    
+    // Don't auto-zoom - let user control the map view
+    // Markers will appear at their locations without changing the current view
+}
+
+// Add pins for newly added addresses, leaving the ones on the map alone
+function addAddressMarkers(addresses) {
+    const markers = createAddressMarkers(addresses);
+    if (markers.length > 0) MarkerLayer.addMarkers(state.addressMarkers, markers);
+}
+
+// Move an edited address's pin - or add it if the address had no usable coordinates before
+function updateAddressMarker(address) {
+    const marker = state.addressMarkerIndex.get(address.id);
+    const lat = parseFloat(address.lat);
+    const lng = parseFloat(address.lng);
+    
+    if (!marker) {
+        addAddressMarkers([address]);
+    } else if (!isNaN(lat) && !isNaN(lng)) {
+        marker.setLatLng([lat, lng]);
+    }
+}
+
+function createAddressMarkers(addresses) {
+    // One icon shared by every pin
+    const icon = createPinIcon();
+    const markers = [];
+    
+    // Create markers for each address
+    addresses.forEach(addr => {
+        if (!addr.lat || !addr.lng) return;
+        
+        const lat = parseFloat(addr.lat);
+        const lng = parseFloat(addr.lng);
+        
+        if (isNaN(lat) || isNaN(lng)) return;
+        
+        // Dragging a pin moves its address
+        const marker = L.marker([lat, lng], {
+            icon: icon,
+            draggable: true
+        });
+        
+        marker.on('dragend', () => {
+            const position = marker.getLatLng();
+            const undo = moveAddress(addr.id, position.lat, position.lng);
+            if (undo) showToast(`📍 Moved ${addr.address}`, '', { label: 'Undo', run: undo });
+        });
+        
+        // Popup content is built when the popup opens, not for every pin up front - edits show up in it
+        const popupContent = () => `
+            <div style="min-width: 200px; font-family: 'DM Sans', sans-serif;">
+                <div style="font-weight: 600; margin-bottom: 8px; color: #1f2937;">
+                    ${escapeHtml(addr.address)}${addr.unit ? ' ' + escapeHtml(formatUnit(addr.unit)) : ''}
+                </div>
+                <div style="font-size: 0.85rem; color: #6b7280; margin-bottom: 4px;">
+                    ${escapeHtml(addr.city)}${addr.state ? ', ' + escapeHtml(addr.state) : ''}
+                </div>
+                ${addr.zipcode ? `<div style="font-size: 0.85rem; color: #6b7280; margin-bottom: 4px;">${escapeHtml(addr.zipcode)}</div>` : ''}
+                ${addr.source ? `<div style="font-size: 0.75rem; color: #9ca3af;">Source: ${escapeHtml(ADDRESS_SOURCES[addr.source] || addr.source)}</div>` : ''}
+                <div style="font-size: 0.75rem; color: #9ca3af; margin-top: 8px; font-family: 'JetBrains Mono', monospace;">
+                    ${parseFloat(addr.lat).toFixed(6)}, ${parseFloat(addr.lng).toFixed(6)}
+                </div>
+            </div>
+        `;
+        
+        marker.bindPopup(popupContent);
+        
+        // Add click handler to zoom to address
+        marker.on('click', () => {
+            state.map.setView(marker.getLatLng(), 18);
+        });
+        
+        state.addressMarkerIndex.set(addr.id, marker);
+        markers.push(marker);
+    });
+    
+    return markers;
+}
+
+// ========================================
+// Location Search
+// ========================================
+
+async function searchLocation(query) {
+    if (!query || query.length < 3) {
+        hideSearchResults();
+        return;
+    }
+    
+    try {
+        const results = await Geocoder.search(query, { limit: 5 });
+        displaySearchResults(results);
+        
+    } catch (error) {
+        console.error('Search error:', error);
+        hideSearchResults();
+    }
+}
+
+function displaySearchResults(results) {
+    const container = document.getElementById('search-results');
+    
+    if (!results || results.length === 0) {
+        container.innerHTML = '<div class="search-result-item"><span class="result-name">No results found</span></div>';
+        container.classList.add('active');
+        return;
+    }
+    
+    container.innerHTML = results.map((result, index) => `
+        <div class="search-result-item" data-lat="${result.lat}" data-lng="${result.lng}">
+            <div class="result-info">
+                <div class="result-name">${escapeHtml(result.name)}</div>
+                <div class="result-address">${escapeHtml(result.detail)}</div>
+            </div>
+            ${isBoundaryResult(result) ? `
+                <button class="result-boundary-btn" data-boundary-result="${index}" title="Show its boundary to collect it">Boundary</button>
+            ` : ''}
+        </div>
+    `).join('');
+    
+    container.classList.add('active');
+    
+    // Add click handlers
+    container.querySelectorAll('[data-boundary-result]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideSearchResults();
+            document.getElementById('location-search').value = '';
+            showSearchBoundary(results[Number(btn.dataset.boundaryResult)]);
+        });
+    });
+    
+    container.querySelectorAll('.search-result-item').forEach(item => {
+        item.addEventListener('click', () => {
+            const lat = parseFloat(item.dataset.lat);
+            const lng = parseFloat(item.dataset.lng);
+            
+            if (!isNaN(lat) && !isNaN(lng)) {
+                state.map.setView([lat, lng], 15);
+                
+                // Add a marker
+                L.marker([lat, lng])
+                    .addTo(state.map)
+                    .bindPopup(item.querySelector('.result-name').textContent)
+                    .openPopup();
+            }
+            
+            hideSearchResults();
+            document.getElementById('location-search').value = '';
+        });
+    });
+}
+
+function hideSearchResults() {
+    document.getElementById('search-results').classList.remove('active');
+}
+
+// ========================================
+// CSV Templates
+// ========================================
+
+// CSV exports follow a template: which columns in which order, their header names, the delimiter,
+// the text encoding and whether the house number is split from the street. Presets ship with the
+// app; templates saved by the user live in the shared settings
+
+// Columns a template can pick from. Values come from addressExportProperties();
+// `numeric` columns are written without quotes
+const CSV_FIELDS = {
+    address: { label: 'Address', value: (p, template) => template.splitHouseNumber ? splitHouseNumber(p.address).street : p.address },
+    houseNumber: { label: 'House number', value: p => splitHouseNumber(p.address).number },
+    unit: { label: 'Unit', value: p => p.unit },
+    addressWithUnit: { label: 'Address and unit', value: (p, template) => [CSV_FIELDS.address.value(p, template), p.unit].filter(Boolean).join(' ') },
+    city: { label: 'City', value: p => p.city },
+    state: { label: 'State', value: p => p.state },
+    zipcode: { label: 'Zip', value: p => p.zipcode },
+    zip5: { label: 'Zip (5 digits)', value: p => (p.zipcode.match(/^\d{5}/) || [p.zipcode])[0] },
+    latitude: { label: 'Latitude', numeric: true, value: p => p.latitude },
+    longitude: { label: 'Longitude', numeric: true, value: p => p.longitude },
+    source: { label: 'Source', value: p => p.source },
+    osm: { label: 'OSM object', value: p => p.osm },
+    shape: { label: 'Shape', value: p => p.shape }
+};
+
+const CSV_DELIMITERS = {
+    ',': 'Comma',
+    ';': 'Semicolon',
+    '\t': 'Tab',
+    '|': 'Pipe'
+};
+
+const CSV_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-8-bom': 'UTF-8 with BOM (Excel)',
+    'utf-16le': 'UTF-16 (Excel Unicode text)',
+    'windows-1252': 'Windows-1252 (older mail-house software)'
+};
+
+// Layouts the common mailing-list and CRM importers expect
+const CSV_TEMPLATE_PRESETS = [
+    {
+        id: 'standard',
+        name: 'Address Collector',
+        delimiter: ',',
+        encoding: 'utf-8',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'address', header: 'Address' },
+            { field: 'unit', header: 'Unit' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State' },
+            { field: 'zipcode', header: 'Zipcode' },
+            { field: 'latitude', header: 'Latitude' },
+            { field: 'longitude', header: 'Longitude' },
+            { field: 'source', header: 'Source' }
+        ]
+    },
+    {
+        id: 'mail-house',
+        name: 'Mail house (USPS)',
+        delimiter: ',',
+        encoding: 'utf-8',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'address', header: 'Address1' },
+            { field: 'unit', header: 'Address2' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State' },
+            { field: 'zipcode', header: 'ZIP' }
+        ]
+    },
+    {
+        id: 'mail-merge',
+        name: 'Excel / Word mail merge',
+        delimiter: ',',
+        encoding: 'utf-8-bom',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'address', header: 'Address Line 1' },
+            { field: 'unit', header: 'Address Line 2' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State' },
+            { field: 'zipcode', header: 'Postal Code' }
+        ]
+    },
+    {
+        id: 'salesforce',
+        name: 'Salesforce leads',
+        delimiter: ',',
+        encoding: 'utf-8',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'addressWithUnit', header: 'Street' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State/Province' },
+            { field: 'zipcode', header: 'Zip/Postal Code' },
+            { field: 'latitude', header: 'Latitude' },
+            { field: 'longitude', header: 'Longitude' }
+        ]
+    },
+    {
+        id: 'hubspot',
+        name: 'HubSpot contacts',
+        delimiter: ',',
+        encoding: 'utf-8',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'addressWithUnit', header: 'Street Address' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State/Region' },
+            { field: 'zipcode', header: 'Postal Code' }
+        ]
+    },
+    {
+        id: 'walk-list',
+        name: 'Canvass walk list',
+        delimiter: ',',
+        encoding: 'utf-8',
+        splitHouseNumber: true,
+        columns: [
+            { field: 'houseNumber', header: CSV_FIELDS.houseNumber.label },
+            { field: 'address', header: 'Street' },
+            { field: 'unit', header: 'Unit' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State' },
+            { field: 'zip5', header: 'Zip' }
+        ]
+    },
+    {
+        id: 'tab-legacy',
+        name: 'Tab-delimited (Windows-1252)',
+        delimiter: '\t',
+        encoding: 'windows-1252',
+        splitHouseNumber: false,
+        columns: [
+            { field: 'address', header: 'Address' },
+            { field: 'unit', header: 'Unit' },
+            { field: 'city', header: 'City' },
+            { field: 'state', header: 'State' },
+            { field: 'zipcode', header: 'Zip' }
+        ]
+    }
+];
+
+// Characters 0x80-0x9F of Windows-1252 - the rest of 0x00-0xFF matches Unicode
+const WINDOWS_1252_EXTRAS = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+function csvTemplates() {
+    return [...CSV_TEMPLATE_PRESETS, ...(Settings.get('csvTemplates') || [])];
+}
+
+function isPresetTemplate(templateId) {
+    return CSV_TEMPLATE_PRESETS.some(t => t.id === templateId);
+}
+
+// The template CSV exports use - the first preset if the saved one was deleted
+function currentCsvTemplate() {
+    const templates = csvTemplates();
+    return templates.find(t => t.id === Settings.get('csvTemplateId')) || templates[0];
+}
+
+// "123B Main St" -> { number: '123B', street: 'Main St' }. Addresses without a leading number are all street
+function splitHouseNumber(address) {
+    const match = (address || '').match(/^(\d+[A-Za-z]?(?:[-/]\d+[A-Za-z]?)?(?: 1\/2)?)\s+(.+)$/);
+    return match ? { number: match[1], street: match[2] } : { number: '', street: address || '' };
+}
+
+// Text starting with = + - @ (or a tab or carriage return) is run as a formula by spreadsheet apps -
+// a leading quote keeps it text. Plain numbers, such as negative coordinates, are left alone
+function sanitizeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        return `'${text}`;
+    }
+    return text;
+}
+
+function csvCell(value, field) {
+    const text = sanitizeCsvValue(value);
+    if (field.numeric && /^-?\d+(\.\d+)?$/.test(text)) return text;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Text in the template's encoding - a string for the UTF-8 variants, bytes otherwise
+function encodeCsv(text, encoding) {
+    if (encoding === 'utf-8-bom') {
+        return '\uFEFF' + text;
+    }
+    if (encoding === 'utf-16le') {
+        const bytes = new Uint8Array(2 + text.length * 2);
+        bytes[0] = 0xFF;
+        bytes[1] = 0xFE;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[2 + i * 2] = code & 0xFF;
+            bytes[3 + i * 2] = code >> 8;
+        }
+        return bytes;
+    }
+    if (encoding === 'windows-1252') {
+        // Characters Windows-1252 cannot hold become "?"
+        return Uint8Array.from([...text], char => {
+            const code = char.codePointAt(0);
+            if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) return code;
+            const extra = WINDOWS_1252_EXTRAS.indexOf(char);
+            return extra >= 0 ? 0x80 + extra : 0x3F;
+        });
+    }
+    return text;
+}
+
+// Header and rows of a CSV export, before encoding
+function csvText(list, addresses, template) {
+    const columns = template.columns.filter(column => CSV_FIELDS[column.field]);
+    const header = columns.map(column => csvCell(column.header, {})).join(template.delimiter);
+    
+    const rows = addresses.map(addr => {
+        const properties = addressExportProperties(addr, list);
+        return columns
+            .map(column => csvCell(CSV_FIELDS[column.field].value(properties, template), CSV_FIELDS[column.field]))
+            .join(template.delimiter);
+    });
+    
+    // CRLF line ends, as RFC 4180 and mailing-list importers expect
+    return [header, ...rows].join('\r\n');
+}
+
+// Save a template from the editor, replacing the saved one with the same id. Returns its id
+function saveCsvTemplate(template) {
+    const saved = (Settings.get('csvTemplates') || []).filter(t => t.id !== template.id);
+    Settings.update({ csvTemplates: [...saved, template], csvTemplateId: template.id });
+    return template.id;
+}
+
+function deleteCsvTemplate(templateId) {
+    const saved = (Settings.get('csvTemplates') || []).filter(t => t.id !== templateId);
+    const values = { csvTemplates: saved };
+    if (Settings.get('csvTemplateId') === templateId) {
+        values.csvTemplateId = CSV_TEMPLATE_PRESETS[0].id;
+    }
+    Settings.update(values);
+}
+
+// ========================================
+// Export
+// ========================================
+
+const EXPORT_FORMATS = {
+    // Tab-delimited text gets .txt, which spreadsheet apps open with their import dialog
+    csv: { label: 'CSV', extension: () => currentCsvTemplate().delimiter === '\t' ? 'txt' : 'csv', mimeType: 'text/csv', build: buildCSV },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: buildGeoJSON },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: buildKML },
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', build: buildGPX }
+};
+
+// Namespace of the address attributes in GPX waypoint extensions
+const GPX_EXTENSION_NAMESPACE = 'urn:addresscollector:address';
+
+// What the open export menu exports: 'list' (the whole current list) or 'filtered' (the table's rows)
+let exportScope = 'list';
+
+// Options: addresses (defaults to the whole list), suffix for the file name, includeShapes -
+// the list's collection shapes as polygons (not in CSV)
+function exportList(format, options = {}) {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!list) return;
+    
+    const addresses = Array.isArray(options.addresses) ? options.addresses : list.addresses;
+    if (addresses.length === 0) return;
+    
+    const config = EXPORT_FORMATS[format];
+    const shapes = options.includeShapes ? (list.shapes || []) : [];
+    const extension = typeof config.extension === 'function' ? config.extension() : config.extension;
+    const fileName = `${list.name.replace(/[^a-z0-9]/gi, '_')}${options.suffix ? `_${options.suffix}` : ''}.${extension}`;
+    
+    downloadFile(config.build(list, addresses, shapes), fileName, config.mimeType);
+}
+
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// Every attribute of an address, named as in the exported files (coordinates go in the geometry)
+function addressExportProperties(addr, list) {
+    const shape = addr.shapeId ? (list.shapes || []).find(s => s.id === addr.shapeId) : null;
+    
+    return {
+        address: addr.address,
+        unit: formatUnit(addr.unit),
+        city: addr.city,
+        state: addr.state,
+        zipcode: addr.zipcode,
+        latitude: addr.lat,
+        longitude: addr.lng,
+        // Hand-added rows say so; collected rows keep the method that found them
+        source: addr.source ? (ADDRESS_SOURCES[addr.source] || addr.source) : '',
+        osm: addr.osm || '',
+        shape: shape ? shape.name : ''
+    };
+}
+
+// A saved shape's outline as a GeoJSON MultiPolygon - circles and line corridors as the polygons they collect
+function shapeExportGeometry(shape) {
+    if (shape.type === 'polygon' || shape.type === 'rectangle') {
+        const polygons = geojsonPolygons(shape.geojson.geometry);
+        if (polygons) return polygonsToMultiPolygon(polygons);
+    }
+    return polygonsToMultiPolygon(areaToPolygons(shapeArea(shape)));
+}
+
+// Laid out by the current CSV template
+function buildCSV(list, addresses) {
+    const template = currentCsvTemplate();
+    return encodeCsv(csvText(list, addresses, template), template.encoding);
+}
+
+function buildGeoJSON(list, addresses, shapes) {
+    const addressFeatures = addresses.map(addr => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [parseFloat(addr.lng), parseFloat(addr.lat)] },
+        properties: { kind: 'address', ...addressExportProperties(addr, list) }
+    }));
+    
+    const shapeFeatures = shapes.map(shape => ({
+        type: 'Feature',
+        geometry: shapeExportGeometry(shape),
+        properties: { kind: 'shape', name: shape.name, shapeType: shape.type, addressCount: shape.addressCount || 0, createdAt: shape.createdAt }
+    }));
+    
+    return JSON.stringify({ type: 'FeatureCollection', name: list.name, features: [...shapeFeatures, ...addressFeatures] }, null, 2);
+}
+
+function buildKML(list, addresses, shapes) {
+    const ring = coordinates => coordinates.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+    const extendedData = properties => Object.entries(properties)
+        .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(String(value))}</value></Data>`)
+        .join('');
+    
+    const addressPlacemarks = addresses.map(addr => {
+        const properties = addressExportProperties(addr, list);
+        return `
+      <Placemark>
+        <name>${escapeXml([properties.address, properties.unit].filter(Boolean).join(' '))}</name>
+        <styleUrl>#address</styleUrl>
+        <ExtendedData>${extendedData(properties)}</ExtendedData>
+        <Point><coordinates>${addr.lng},${addr.lat}</coordinates></Point>
+      </Placemark>`;
+    }).join('');
+    
+    const shapePlacemarks = shapes.map(shape => {
+        const polygons = shapeExportGeometry(shape).coordinates.map(rings => `
+          <Polygon>
+            <outerBoundaryIs><LinearRing><coordinates>${ring(rings[0])}</coordinates></LinearRing></outerBoundaryIs>${rings.slice(1).map(hole => `
+            <innerBoundaryIs><LinearRing><coordinates>${ring(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('')}
+          </Polygon>`).join('');
+        
+        return `
+      <Placemark>
+        <name>${escapeXml(shape.name)}</name>
+        <styleUrl>#shape</styleUrl>
+        <ExtendedData>${extendedData({ shapeType: shape.type, addressCount: shape.addressCount || 0, createdAt: shape.createdAt })}</ExtendedData>
+        <MultiGeometry>${polygons}
+        </MultiGeometry>
+      </Placemark>`;
+    }).join('');
+    
+    // KML colors are aabbggrr
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(list.name)}</name>
+    <Style id="address"><IconStyle><color>fff6823b</color></IconStyle></Style>
+    <Style id="shape"><LineStyle><color>fff6823b</color><width>2</width></LineStyle><PolyStyle><color>33f6823b</color></PolyStyle></Style>${shapes.length > 0 ? `
+    <Folder>
+      <name>Collection shapes</name>${shapePlacemarks}
+    </Folder>` : ''}
+    <Folder>
+      <name>Addresses</name>${addressPlacemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+// Addresses as waypoints with their attributes in extensions. GPX has no polygons, so each
+// shape ring becomes a closed track
+function buildGPX(list, addresses, shapes) {
+    const waypoints = addresses.map(addr => {
+        const properties = addressExportProperties(addr, list);
+        const extensions = Object.entries(properties)
+            .map(([name, value]) => `<addr:${name}>${escapeXml(String(value))}</addr:${name}>`)
+            .join('');
+        
+        return `
+  <wpt lat="${addr.lat}" lon="${addr.lng}">
+    <name>${escapeXml([properties.address, properties.unit].filter(Boolean).join(' '))}</name>
+    <desc>${escapeXml([properties.city, [properties.state, properties.zipcode].filter(Boolean).join(' ')].filter(Boolean).join(', '))}</desc>
+    <type>${escapeXml(properties.source)}</type>
+    <extensions>${extensions}</extensions>
+  </wpt>`;
+    }).join('');
+    
+    const tracks = shapes.map(shape => {
+        const segments = shapeExportGeometry(shape).coordinates.flat().map(coordinates => `
+    <trkseg>${coordinates.map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`).join('')}</trkseg>`).join('');
+        
+        return `
+  <trk>
+    <name>${escapeXml(shape.name)}</name>
+    <type>Collection shape</type>${segments}
+  </trk>`;
+    }).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Address Collector" xmlns="http://www.topografix.com/GPX/1/1" xmlns:addr="${GPX_EXTENSION_NAMESPACE}">
+  <metadata>
+    <name>${escapeXml(list.name)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}${tracks}
+</gpx>
+`;
+}
+
+// One menu serves both export buttons - it moves next to the one that opened it
+function toggleExportMenu(open, scope = 'list') {
+    const menu = document.getElementById('export-menu');
+    const button = document.getElementById(scope === 'filtered' ? 'export-filtered' : 'export-button');
+    const reopen = menu.classList.contains('active') && exportScope !== scope;
+    const show = open === undefined ? reopen || !menu.classList.contains('active') : open;
+    
+    menu.classList.toggle('active', show);
+    if (show) {
+        exportScope = scope;
+        button.parentElement.appendChild(menu);
+        
+        const count = scope === 'filtered' ? addressTable.rows.length : currentListAddressCount();
+        document.getElementById('export-menu-title').textContent = scope === 'filtered'
+            ? `${count.toLocaleString()} filtered address${count !== 1 ? 'es' : ''}`
+            : `All ${count.toLocaleString()} address${count !== 1 ? 'es' : ''}`;
+        
+        document.getElementById('export-include-shapes').checked = Settings.get('exportIncludeShapes');
+        renderCsvTemplateOptions(document.getElementById('export-csv-template'), currentCsvTemplate().id);
+    }
+}
+
+// Fill a select with the presets and saved templates
+function renderCsvTemplateOptions(select, selectedId) {
+    const saved = Settings.get('csvTemplates') || [];
+    const option = t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`;
+    
+    select.innerHTML = `<optgroup label="Presets">${CSV_TEMPLATE_PRESETS.map(option).join('')}</optgroup>` +
+        (saved.length > 0 ? `<optgroup label="Saved">${saved.map(option).join('')}</optgroup>` : '');
+    select.value = selectedId;
+}
+
+function handleExportFormat(format) {
+    const includeShapes = document.getElementById('export-include-shapes').checked;
+    Settings.update({ exportIncludeShapes: includeShapes });
+    
+    toggleExportMenu(false);
+    exportList(format, exportScope === 'filtered'
+        ? { addresses: addressTable.rows, suffix: 'filtered', includeShapes: includeShapes }
+        : { includeShapes: includeShapes });
+}
+
+function currentListAddressCount() {
+    const list = state.lists.find(l => l.id === state.currentListId);
+    return list ? list.addresses.length : 0;
+}
+
+// ========================================
+// UI Rendering
+// ========================================
+
+function renderLists() {
+    const container = document.getElementById('lists-container');
+    
+    if (state.lists.length === 0) {
+        container.innerHTML = `
+            <div class="empty-lists">
+                <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+                    <polyline points="14,2 14,8 20,8"/>
+                    <line x1="12" y1="18" x2="12" y2="12"/>
+                    <line x1="9" y1="15" x2="15" y2="15"/>
+                </svg>
+                <p>No lists yet. Click + to create one.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = state.lists.map(list => `
+        <div class="list-item ${list.id === state.currentListId ? 'active' : ''}" data-list-id="${list.id}">
+            <div class="list-item-info">
+                <div class="list-item-name">${escapeHtml(list.name)}</div>
+                <div class="list-item-count">${list.addresses.length} address${list.addresses.length !== 1 ? 'es' : ''}</div>
+                ${list.refresh ? `
+                    <div class="list-item-refresh ${list.refresh.status}" ${list.refresh.status === 'ready' ? `data-review-list="${list.id}" title="Review changes"` : ''}>
+                        ${list.refresh.status === 'ready' ? 'Changes ready to review' : 'Refreshing…'}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="list-item-actions">
+                ${list.previousVersion ? `
+                    <button class="list-action-btn" data-compare-list="${list.id}" title="Compare with previous version">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <path d="M12 6v6l4 2"/>
+                        </svg>
+                    </button>
+                ` : ''}
+                ${(list.shapes || []).length > 0 ? `
+                    <button class="list-action-btn" data-refresh-list="${list.id}" title="Refresh list">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M23 4v6h-6M1 20v-6h6"/>
+                            <path d="M3.51 9a9 9 0 0114.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0020.49 15"/>
+                        </svg>
+                    </button>
+                ` : ''}
+                <button class="list-action-btn delete" data-delete-list="${list.id}" title="Delete list">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+    
+    // Add click handlers
+    container.querySelectorAll('.list-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (!e.target.closest('.list-action-btn') && !e.target.closest('[data-review-list]')) {
+                selectList(item.dataset.listId);
+            }
+        });
+    });
+    
+    container.querySelectorAll('[data-refresh-list]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startListRefresh(btn.dataset.refreshList);
+        });
+    });
+    
+    container.querySelectorAll('[data-review-list]').forEach(status => {
+        status.addEventListener('click', () => openDiffModal(status.dataset.reviewList, 'refresh'));
+    });
+    
+    container.querySelectorAll('[data-compare-list]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openDiffModal(btn.dataset.compareList, 'previous');
+        });
+    });
+    
+    container.querySelectorAll('[data-delete-list]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm('Delete this list?')) {
+                deleteList(btn.dataset.deleteList);
+            }
+        });
+    });
+}
+
+function renderShapes() {
+    const section = document.getElementById('shapes-section');
+    const container = document.getElementById('shapes-container');
+    const list = state.lists.find(l => l.id === state.currentListId);
+    const shapes = (list && list.shapes) || [];
+    
+    if (shapes.length === 0) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    section.classList.remove('hidden');
+    
+    container.innerHTML = shapes.map(shape => `
+        <div class="shape-item" data-shape-id="${shape.id}">
+            <input type="color" class="shape-color" value="${shape.color}" title="Shape color">
+            <div class="shape-item-info">
+                <input type="text" class="shape-name" value="${escapeHtml(shape.name)}" title="Rename shape">
+                <div class="shape-item-meta">
+                    ${SHAPE_TYPES[shape.type].label} · ${shape.addressCount} address${shape.addressCount !== 1 ? 'es' : ''} · ${new Date(shape.createdAt).toLocaleDateString()}
+                </div>
+            </div>
+            <div class="list-item-actions">
+                <button class="list-action-btn" data-zoom-shape="${shape.id}" title="Zoom to shape">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="11" cy="11" r="8"/>
+                        <path d="M21 21l-4.35-4.35"/>
+                    </svg>
+                </button>
+                <button class="list-action-btn delete" data-delete-shape="${shape.id}" title="Delete shape">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+    
+    // Add handlers
+    container.querySelectorAll('.shape-item').forEach(item => {
+        const shapeId = item.dataset.shapeId;
+        
+        item.querySelector('.shape-color').addEventListener('change', (e) => recolorShape(shapeId, e.target.value));
+        item.querySelector('.shape-name').addEventListener('change', (e) => renameShape(shapeId, e.target.value));
+        item.querySelector('.shape-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') e.target.blur();
+        });
+    });
+    
+    container.querySelectorAll('[data-zoom-shape]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const layer = findShapeLayer(btn.dataset.zoomShape);
+            if (layer) state.map.fitBounds(layer.getBounds(), { padding: [40, 40] });
+        });
+    });
+    
+    container.querySelectorAll('[data-delete-shape]').forEach(btn => {
+        btn.addEventListener('click', () => openDeleteShapeModal(btn.dataset.deleteShape));
+    });
+}
+
+function renderImportedAreas() {
+    const section = document.getElementById('import-section');
+    const container = document.getElementById('import-container');
+    const imported = state.importedAreas;
+    
+    if (!imported || imported.items.length === 0) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    section.classList.remove('hidden');
+    
+    const pending = pendingImportedAreas().length;
+    document.getElementById('import-summary').textContent =
+        `${imported.fileName} · ${imported.items.length} area${imported.items.length !== 1 ? 's' : ''} · ${pending} to collect`;
+    
+    const nameSelect = document.getElementById('import-name-property');
+    nameSelect.innerHTML = `<option value="">File name and number</option>` +
+        imported.propertyKeys.map(key => `<option value="${escapeHtml(key)}">${escapeHtml(key)}</option>`).join('');
+    nameSelect.value = imported.nameProperty;
+    document.getElementById('import-target').value = imported.target;
+    document.getElementById('import-collect-all').disabled = pending === 0;
+    
+    container.innerHTML = imported.items.map(item => `
+        <div class="import-item ${item.status}" data-import-id="${item.id}">
+            <div class="import-item-name" title="${escapeHtml(importedAreaName(item))}">${escapeHtml(importedAreaName(item))}</div>
+            <div class="list-item-actions">
+                <button class="list-action-btn" data-zoom-import="${item.id}" title="Zoom to area">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="11" cy="11" r="8"/>
+                        <path d="M21 21l-4.35-4.35"/>
+                    </svg>
+                </button>
+            </div>
+            ${item.status === 'pending'
+                ? `<button class="job-action-btn" data-collect-import="${item.id}" title="Collect addresses in this area">Collect</button>`
+                : `<span class="import-item-status">Queued</span>`}
+        </div>
+    `).join('');
+    
+    // Add handlers
+    container.querySelectorAll('[data-zoom-import]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const item = imported.items.find(i => i.id === btn.dataset.zoomImport);
+            if (item) state.map.fitBounds(item.layer.getBounds(), { padding: [40, 40] });
+        });
+    });
+    
+    container.querySelectorAll('[data-collect-import]').forEach(btn => {
+        btn.addEventListener('click', () => collectImportedArea(btn.dataset.collectImport));
+    });
+}
+
+function renderJobs() {
+    const section = document.getElementById('jobs-section');
+    const container = document.getElementById('jobs-container');
+    const summary = document.getElementById('jobs-summary');
+    
+    if (state.jobs.length === 0) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+    
+    section.classList.remove('hidden');
+    
+    const active = state.jobs.filter(j => ['running', 'queued', 'paused'].includes(j.status)).length;
+    const finished = state.jobs.filter(j => j.status === 'done').length;
+    const failed = state.jobs.filter(j => j.status === 'failed' || j.status === 'cancelled').length;
+    summary.textContent = `${active} active · ${finished} done · ${failed} failed`;
+    
+    // Newest jobs first
+    container.innerHTML = state.jobs.slice().reverse().map(job => {
+        const list = state.lists.find(l => l.id === job.listId);
+        const listName = list ? list.name : 'Deleted list';
+        const shape = list && job.shapeId ? (list.shapes || []).find(s => s.id === job.shapeId) : null;
+        const shapeName = (shape ? shape.name : ({ circle: 'Circle', corridor: 'Corridor' }[job.shapeType] || 'Polygon')) +
+            (job.refreshId ? ' (refresh)' : '');
+        const progress = getJobProgress(job);
+        const canPause = job.status === 'running' || job.status === 'queued';
+        const canResume = job.status === 'paused';
+        const canCancel = ['running', 'queued', 'paused'].includes(job.status);
+        
+        return `
+        <div class="job-item ${job.status}" data-job-id="${job.id}">
+            <div class="job-item-header">
+                <div class="job-item-name" title="${escapeHtml(listName)}">${escapeHtml(listName)} · ${escapeHtml(shapeName)}</div>
+                <span class="job-status-badge">${JOB_STATUS_LABELS[job.status] || job.status}</span>
+            </div>
+            <div class="job-progress">
+                <div class="job-progress-bar" style="width: ${progress}%"></div>
+            </div>
+            <div class="job-item-meta" title="${escapeHtml(job.error || '')}">${escapeHtml(describeJobCounts(job))}</div>
+            <div class="job-item-actions">
+                ${canPause ? `<button class="job-action-btn" data-pause-job="${job.id}" title="Pause">Pause</button>` : ''}
+                ${canResume ? `<button class="job-action-btn" data-resume-job="${job.id}" title="Resume">Resume</button>` : ''}
+                ${canCancel ? `<button class="job-action-btn danger" data-cancel-job="${job.id}" title="Cancel">Cancel</button>` : ''}
+                ${job.status !== 'running' ? `<button class="job-action-btn" data-remove-job="${job.id}" title="Remove from panel">Remove</button>` : ''}
+            </div>
+        </div>
+    `;
+    }).join('');
+    
+    // Add action handlers
+    container.querySelectorAll('[data-pause-job]').forEach(btn => {
+        btn.addEventListener('click', () => pauseJob(btn.dataset.pauseJob));
+    });
+    
+    container.querySelectorAll('[data-resume-job]').forEach(btn => {
+        btn.addEventListener('click', () => resumeJob(btn.dataset.resumeJob));
+    });
+    
+    container.querySelectorAll('[data-cancel-job]').forEach(btn => {
+        btn.addEventListener('click', () => cancelJob(btn.dataset.cancelJob));
+    });
+    
+    container.querySelectorAll('[data-remove-job]').forEach(btn => {
+        btn.addEventListener('click', () => removeJob(btn.dataset.removeJob));
+    });
+}
+
+// The addresses table only renders the rows in view (plus a margin), so lists of tens of thousands
+// of rows scroll smoothly. Sorting, the search box and the column filters pick the rows it shows
+const ADDRESS_TABLE_CONFIG = {
+    ROW_HEIGHT: 38,              // Must match .address-row in styles.css (px)
+    OVERSCAN: 10,                // Rows rendered above and below the visible ones
+    MAX_SUGGESTIONS: 200         // Distinct values offered when building a column filter
+};
+
+// Columns that can be sorted and filtered - source filters on its label
+const ADDRESS_COLUMNS = {
+    address: { label: 'Address' },
+    unit: { label: 'Unit' },
+    city: { label: 'City' },
+    state: { label: 'State' },
+    zipcode: { label: 'Zip' },
+    lat: { label: 'Latitude', numeric: true },
+    lng: { label: 'Longitude', numeric: true },
+    source: { label: 'Source' }
+};
+
+const ADDRESS_FILTER_OPERATORS = {
+    is: { label: 'is', needsValue: true, test: (value, wanted) => value.toLowerCase() === wanted.toLowerCase() },
+    contains: { label: 'contains', needsValue: true, test: (value, wanted) => value.toLowerCase().includes(wanted.toLowerCase()) },
+    missing: { label: 'is missing', test: value => !value },
+    present: { label: 'is not missing', test: value => !!value }
+};
+
+// What the table shows: all addresses of the list, the sorted and filtered rows, and how they were picked
+const addressTable = {
+    addresses: [],
+    rows: [],
+    sortField: null,
+    sortDir: 1,
+    query: '',
+    filters: [],                 // [{ field, operator, value }]
+    renderedStart: -1
+};
+
+function addressColumnValue(addr, field) {
+    if (field === 'source') return addr.source ? (ADDRESS_SOURCES[addr.source] || addr.source) : '';
+    if (field === 'unit') return formatUnit(addr.unit);
+    return addr[field] ? String(addr[field]) : '';
+}
+
+function renderAddresses(addresses) {
+    const emptyState = document.getElementById('empty-state');
+    const table = document.getElementById('addresses-table');
+    
+    // Update stats
+    document.getElementById('address-count').textContent = addresses.length;
+    document.getElementById('unique-zips').textContent = new Set(addresses.map(a => a.zipcode).filter(Boolean)).size;
+    document.getElementById('unique-cities').textContent = new Set(addresses.map(a => a.city).filter(Boolean)).size;
+    
+    addressTable.addresses = addresses;
+    
+    if (addresses.length === 0) {
+        emptyState.classList.remove('hidden');
+        table.style.display = 'none';
+        document.getElementById('address-table-toolbar').classList.add('hidden');
+        return;
+    }
+    
+    emptyState.classList.add('hidden');
+    table.style.display = 'table';
+    document.getElementById('address-table-toolbar').classList.remove('hidden');
+    
+    updateAddressTableRows();
+}
+
+// Apply the search, filters and sort to the list, then draw the rows in view
+function updateAddressTableRows() {
+    const query = addressTable.query.trim().toLowerCase();
+    const searchFields = ['address', 'unit', 'city', 'state', 'zipcode'];
+    
+    let rows = addressTable.addresses.filter(addr =>
+        (!query || searchFields.some(field => addressColumnValue(addr, field).toLowerCase().includes(query))) &&
+        addressTable.filters.every(filter =>
+            ADDRESS_FILTER_OPERATORS[filter.operator].test(addressColumnValue(addr, filter.field), filter.value))
+    );
+    
+    if (addressTable.sortField) {
+        const field = addressTable.sortField;
+        const dir = addressTable.sortDir;
+        
+        rows = rows.slice().sort((a, b) => {
+            if (ADDRESS_COLUMNS[field].numeric) {
+                return dir * ((parseFloat(a[field]) || 0) - (parseFloat(b[field]) || 0));
+            }
+            // Empty values last in either direction
+            const va = addressColumnValue(a, field);
+            const vb = addressColumnValue(b, field);
+            if (!va || !vb) return (!va) - (!vb);
+            return dir * va.localeCompare(vb, undefined, { numeric: true, sensitivity: 'base' });
+        });
+    }
+    
+    addressTable.rows = rows;
+    
+    const filtered = rows.length !== addressTable.addresses.length;
+    document.getElementById('address-table-count').textContent = filtered
+        ? `Showing ${rows.length.toLocaleString()} of ${addressTable.addresses.length.toLocaleString()}`
+        : `${rows.length.toLocaleString()} address${rows.length !== 1 ? 'es' : ''}`;
+    document.getElementById('export-filtered').disabled = !filtered || rows.length === 0;
+    
+    document.querySelectorAll('#addresses-table th[data-sort]').forEach(th => {
+        const sorted = th.dataset.sort === addressTable.sortField;
+        th.classList.toggle('sorted', sorted);
+        th.dataset.dir = sorted ? (addressTable.sortDir === 1 ? 'asc' : 'desc') : '';
+    });
+    
+    addressTable.renderedStart = -1;
+    renderVisibleAddressRows();
+}
+
+// Draw the rows in view between two spacer rows that stand in for the rest
+function renderVisibleAddressRows() {
+    const container = document.querySelector('.addresses-table-container');
+    const tbody = document.getElementById('addresses-body');
+    const { ROW_HEIGHT, OVERSCAN } = ADDRESS_TABLE_CONFIG;
+    const rows = addressTable.rows;
+    
+    if (rows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="8" class="no-matches">No addresses match the search and filters</td></tr>`;
+        return;
+    }
+    
+    const headerHeight = document.querySelector('#addresses-table thead').offsetHeight;
+    const scrollTop = Math.max(0, container.scrollTop - headerHeight);
+    const visible = Math.ceil(container.clientHeight / ROW_HEIGHT) || 30;
+    const start = Math.max(0, Math.min(Math.floor(scrollTop / ROW_HEIGHT), rows.length - visible) - OVERSCAN);
+    const end = Math.min(rows.length, start + visible + OVERSCAN * 2);
+    
+    if (start === addressTable.renderedStart) return;
+    addressTable.renderedStart = start;
+    
+    const spacer = height => height > 0 ? `<tr class="table-spacer" style="height: ${height}px"><td colspan="8"></td></tr>` : '';
+    
+    tbody.innerHTML = spacer(start * ROW_HEIGHT) +
+        rows.slice(start, end).map(renderAddressRow).join('') +
+        spacer((rows.length - end) * ROW_HEIGHT);
+}
+
+function renderAddressRow(addr) {
+    // Ensure lat/lng are properly formatted and displayed
+    const lat = addr.lat ? parseFloat(addr.lat).toFixed(6) : 'N/A';
+    const lng = addr.lng ? parseFloat(addr.lng).toFixed(6) : 'N/A';
+    
+    // Check for missing data
+    const cityClass = !addr.city ? 'missing-data' : '';
+    const stateClass = !addr.state ? 'missing-data' : '';
+    const zipClass = !addr.zipcode ? 'missing-data' : '';
+    
+    const cityDisplay = addr.city || '—';
+    const stateDisplay = addr.state || '—';
+    const zipDisplay = addr.zipcode || '—';
+    
+    return `
+        <tr class="address-row" data-address-id="${addr.id}">
+            <td data-field="address" title="${escapeHtml(addr.address)}">${MANUAL_SOURCES.includes(addr.source) ? `<span class="source-badge" title="${ADDRESS_SOURCES[addr.source]}">${addr.source === 'picked' ? 'Picked' : 'Manual'}</span>` : ''}${escapeHtml(addr.address)}</td>
+            <td data-field="unit" title="${escapeHtml(formatUnit(addr.unit))}">${escapeHtml(addr.unit || '')}</td>
+            <td data-field="city" class="${cityClass}" title="${addr.city ? escapeHtml(addr.city) : 'Missing - click Enrich to fill'}">${escapeHtml(cityDisplay)}</td>
+            <td data-field="state" class="${stateClass}" title="${addr.state ? escapeHtml(addr.state) : 'Missing - click Enrich to fill'}">${escapeHtml(stateDisplay)}</td>
+            <td data-field="zipcode" class="${zipClass}" title="${addr.zipcode ? escapeHtml(addr.zipcode) : 'Missing - click Enrich to fill'}">${escapeHtml(zipDisplay)}</td>
+            <td data-field="lat" class="coord-cell" title="Latitude: ${lat}">${lat}</td>
+            <td data-field="lng" class="coord-cell" title="Longitude: ${lng}">${lng}</td>
+            <td>
+                <div class="row-actions">
+                    <button class="delete-address-btn locate-address-btn" data-locate-address="${addr.id}" title="Zoom to address">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="3"/>
+                            <path d="M12 2v4M12 18v4M2 12h4M18 12h4"/>
+                        </svg>
+                    </button>
+                    <button class="delete-address-btn" data-delete-address="${addr.id}" title="Remove">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 6L6 18M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+// Row handlers are bound once on the table body, since its rows come and go while scrolling
+function setupAddressTable() {
+    const container = document.querySelector('.addresses-table-container');
+    const tbody = document.getElementById('addresses-body');
+    
+    let scrollFrame = null;
+    container.addEventListener('scroll', () => {
+        // An open cell editor would be thrown away with its row - save it first
+        const editor = tbody.querySelector('.cell-editor');
+        if (editor) editor.blur();
+        
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            renderVisibleAddressRows();
+        });
+    });
+    
+    tbody.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('[data-delete-address]');
+        const locateBtn = e.target.closest('[data-locate-address]');
+        
+        if (deleteBtn) {
+            deleteAddress(deleteBtn.dataset.deleteAddress);
+        } else if (locateBtn) {
+            const addr = addressTable.addresses.find(a => a.id === locateBtn.dataset.locateAddress);
+            if (addr) {
+                state.map.setView([parseFloat(addr.lat), parseFloat(addr.lng)], 18);
+            }
+        }
+    });
+    
+    // Double-click a cell to edit it
+    tbody.addEventListener('dblclick', (e) => {
+        const cell = e.target.closest('td[data-field]');
+        if (cell) startAddressCellEdit(cell);
+    });
+    
+    // Header click sorts: ascending, descending, then back to list order
+    document.querySelectorAll('#addresses-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            if (addressTable.sortField !== th.dataset.sort) {
+                addressTable.sortField = th.dataset.sort;
+                addressTable.sortDir = 1;
+            } else if (addressTable.sortDir === 1) {
+                addressTable.sortDir = -1;
+            } else {
+                addressTable.sortField = null;
+            }
+            updateAddressTableRows();
+        });
+    });
+    
+    let searchTimeout = null;
+    document.getElementById('address-search').addEventListener('input', (e) => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            addressTable.query = e.target.value;
+            container.scrollTop = 0;
+            updateAddressTableRows();
+        }, 200);
+    });
+    
+    // Column filter builder
+    const fieldSelect = document.getElementById('filter-field');
+    const operatorSelect = document.getElementById('filter-operator');
+    
+    fieldSelect.innerHTML = Object.entries(ADDRESS_COLUMNS)
+        .filter(([, column]) => !column.numeric)
+        .map(([field, column]) => `<option value="${field}">${column.label}</option>`)
+        .join('');
+    operatorSelect.innerHTML = Object.entries(ADDRESS_FILTER_OPERATORS)
+        .map(([operator, config]) => `<option value="${operator}">${config.label}</option>`)
+        .join('');
+    
+    document.getElementById('toggle-address-filters').addEventListener('click', () => {
+        const builder = document.getElementById('address-filter-builder');
+        builder.classList.toggle('hidden');
+        if (!builder.classList.contains('hidden')) updateFilterSuggestions();
+    });
+    fieldSelect.addEventListener('change', updateFilterSuggestions);
+    operatorSelect.addEventListener('change', () => {
+        document.getElementById('filter-value').disabled = !ADDRESS_FILTER_OPERATORS[operatorSelect.value].needsValue;
+    });
+    document.getElementById('add-address-filter').addEventListener('click', addAddressFilter);
+    document.getElementById('filter-value').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addAddressFilter();
+    });
+    
+    document.getElementById('export-filtered').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu(undefined, 'filtered');
+    });
+}
+
+function addAddressFilter() {
+    const field = document.getElementById('filter-field').value;
+    const operator = document.getElementById('filter-operator').value;
+    const valueInput = document.getElementById('filter-value');
+    const value = valueInput.value.trim();
+    
+    if (ADDRESS_FILTER_OPERATORS[operator].needsValue && !value) {
+        valueInput.focus();
+        return;
+    }
+    
+    addressTable.filters.push({ field, operator, value: ADDRESS_FILTER_OPERATORS[operator].needsValue ? value : '' });
+    valueInput.value = '';
+    renderAddressFilters();
+}
+
+function removeAddressFilter(index) {
+    addressTable.filters.splice(index, 1);
+    renderAddressFilters();
+}
+
+// Search and filters belong to the list on screen - a newly selected list starts unfiltered
+function resetAddressTableFilters() {
+    addressTable.query = '';
+    addressTable.filters = [];
+    document.getElementById('address-search').value = '';
+    document.querySelector('.addresses-table-container').scrollTop = 0;
+    renderAddressFilters(false);
+}
+
+function renderAddressFilters(update = true) {
+    const container = document.getElementById('address-filter-chips');
+    
+    container.innerHTML = addressTable.filters.map((filter, index) => `
+        <span class="filter-chip">
+            ${ADDRESS_COLUMNS[filter.field].label} ${ADDRESS_FILTER_OPERATORS[filter.operator].label}${filter.value ? ` "${escapeHtml(filter.value)}"` : ''}
+            <button data-remove-filter="${index}" title="Remove filter">×</button>
+        </span>
+    `).join('');
+    
+    container.querySelectorAll('[data-remove-filter]').forEach(btn => {
+        btn.addEventListener('click', () => removeAddressFilter(Number(btn.dataset.removeFilter)));
+    });
+    
+    if (update && addressTable.addresses.length > 0) {
+        document.querySelector('.addresses-table-container').scrollTop = 0;
+        updateAddressTableRows();
+    }
+}
+
+// Offer the column's most common values while typing a filter value
+function updateFilterSuggestions() {
+    const field = document.getElementById('filter-field').value;
+    const counts = new Map();
+    
+    addressTable.addresses.forEach(addr => {
+        const value = addressColumnValue(addr, field);
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    
+    document.getElementById('filter-suggestions').innerHTML = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, ADDRESS_TABLE_CONFIG.MAX_SUGGESTIONS)
+        .map(([value]) => `<option value="${escapeHtml(value)}">`)
+        .join('');
+}
+
+// Swap a table cell for an input. Enter or leaving the cell saves, Escape cancels;
+// an invalid value keeps the input open with the reason
+function startAddressCellEdit(cell) {
+    const addressId = cell.closest('tr').dataset.addressId;
+    const field = cell.dataset.field;
+    const list = state.lists.find(l => l.id === state.currentListId);
+    const address = list && list.addresses.find(a => a.id === addressId);
+    if (!address || cell.querySelector('input')) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'cell-editor';
+    input.value = address[field] || '';
+    
+    cell.classList.add('editing');
+    cell.replaceChildren(input);
+    input.focus();
+    input.select();
+    
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        
+        if (save) {
+            const error = updateAddressField(addressId, field, input.value);
+            if (error) {
+                done = false;
+                input.classList.add('invalid');
+                input.title = error;
+                showToast(`⚠️ ${error}`, 'error');
+                input.focus();
+                return;
+            }
+        }
+        
+        renderAddresses(list.addresses);
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+}
+
+// ========================================
+// Modal Handling
+// ========================================
+
+function openNewListModal() {
+    document.getElementById('new-list-modal').classList.add('active');
+    document.getElementById('list-name').value = '';
+    document.getElementById('list-name').focus();
+}
+
+function closeNewListModal() {
+    document.getElementById('new-list-modal').classList.remove('active');
+}
+
+function handleCreateList() {
+    const name = document.getElementById('list-name').value.trim();
+    if (name) {
+        const listId = createList(name);
+        selectList(listId);
+        closeNewListModal();
+    }
+}
+
+// Shape waiting for the delete confirmation
+let shapePendingDelete = null;
+
+function openDeleteShapeModal(shapeId) {
+    const shape = findCurrentShape(shapeId);
+    const list = state.lists.find(l => l.id === state.currentListId);
+    if (!shape || !list) return;
+    
+    const contributed = list.addresses.filter(a => a.shapeId === shapeId).length;
+    shapePendingDelete = shapeId;
+    
+    document.getElementById('delete-shape-message').textContent = `Delete "${shape.name}" from ${list.name}?`;
+    document.getElementById('delete-shape-addresses').checked = false;
+    document.getElementById('delete-shape-addresses-label').textContent =
+        `Also remove the ${contributed} address${contributed !== 1 ? 'es' : ''} it added`;
+    document.getElementById('delete-shape-addresses-field').classList.toggle('hidden', contributed === 0);
+    document.getElementById('delete-shape-modal').classList.add('active');
+}
+
+function closeDeleteShapeModal() {
+    document.getElementById('delete-shape-modal').classList.remove('active');
+    shapePendingDelete = null;
+}
+
+function confirmDeleteShape() {
+    if (!shapePendingDelete) return;
+    
+    const removed = deleteShape(shapePendingDelete, document.getElementById('delete-shape-addresses').checked);
+    closeDeleteShapeModal();
+    showToast(removed > 0 ? `🗑️ Shape deleted with ${removed} address${removed !== 1 ? 'es' : ''}` : '🗑️ Shape deleted');
+}
+
+// List shown in the diff modal, and whether it shows a pending refresh or the previous version
+let diffModalListId = null;
+let diffModalMode = null;
+
+async function openDiffModal(listId, mode) {
+    const list = state.lists.find(l => l.id === listId);
+    if (!list) return;
+    
+    let diff;
+    if (mode === 'refresh') {
+        if (!list.refresh || list.refresh.status !== 'ready') return;
+        diff = await getRefreshDiff(list);
+        if (!diff) {
+            dropLostRefresh(list);
+            return;
+        }
+        document.getElementById('diff-title').textContent = 'Refresh Changes';
+        document.getElementById('diff-message').textContent =
+            `${list.name} collected again on ${new Date(list.refresh.finishedAt).toLocaleString()}.` +
+            (list.refresh.completedShapeIds.length < list.shapes.length
+                ? ' Some shapes did not finish, so nothing in them is counted as gone.'
+                : '');
+    } else {
+        if (!list.previousVersion) return;
+        const previous = await ListSnapshots.get(ListSnapshots.previousKey(list.id));
+        if (!previous) {
+            showToast('⚠️ The previous version of this list is no longer available', 'error');
+            delete list.previousVersion;
+            Storage.saveLists();
+            renderLists();
+            return;
+        }
+        diff = diffAddresses(previous, list.addresses);
+        document.getElementById('diff-title').textContent = 'Compare with Previous Version';
+        document.getElementById('diff-message').textContent =
+            `${list.name} now, compared with the version kept on ${new Date(list.previousVersion.savedAt).toLocaleString()}.`;
+    }
+    
+    diffModalListId = listId;
+    diffModalMode = mode;
+    
+    document.getElementById('diff-sections').innerHTML = [
+        renderDiffSection('New', 'added', diff.added, a => formatDiffAddress(a)),
+        renderDiffSection('Gone', 'removed', diff.removed, a => formatDiffAddress(a)),
+        renderDiffSection('Changed', 'changed', diff.changed, change =>
+            `${escapeHtml(change.before.address)}${change.before.unit ? ` ${escapeHtml(change.before.unit)}` : ''}: ` +
+            change.fields.map(field =>
+                `<span class="diff-old">${escapeHtml(change.before[field] || '—')}</span> → ${escapeHtml(change.after[field] || '—')}`
+            ).join(', '))
+    ].join('');
+    
+    const hasChanges = diff.added.length + diff.removed.length + diff.changed.length > 0;
+    document.getElementById('diff-empty').classList.toggle('hidden', hasChanges);
+    document.getElementById('diff-discard').classList.toggle('hidden', mode !== 'refresh');
+    document.getElementById('diff-accept').classList.toggle('hidden', mode !== 'refresh');
+    document.getElementById('diff-modal').classList.add('active');
+}
+
+function renderDiffSection(title, kind, items, formatItem) {
+    if (items.length === 0) return '';
+    
+    const more = items.length - DIFF_DISPLAY_LIMIT;
+    
+    return `
+        <details class="diff-section ${kind}" ${items.length <= 50 ? 'open' : ''}>
+            <summary>${title} <span class="diff-count">${items.length}</span></summary>
+            <ul>
+                ${items.slice(0, DIFF_DISPLAY_LIMIT).map(item => `<li>${formatItem(item)}</li>`).join('')}
+                ${more > 0 ? `<li class="diff-more">…and ${more} more</li>` : ''}
+            </ul>
+        </details>
+    `;
+}
+
+function formatDiffAddress(address) {
+    const street = [address.address, address.unit].filter(Boolean).join(' ');
+    return escapeHtml([street, address.city, address.state, address.zipcode].filter(Boolean).join(', '));
+}
+
+function closeDiffModal() {
+    document.getElementById('diff-modal').classList.remove('active');
+    diffModalListId = null;
+    diffModalMode = null;
+}
+
+async function confirmAcceptRefresh() {
+    if (!diffModalListId) return;
+    
+    const diff = await acceptRefresh(diffModalListId);
+    closeDiffModal();
+    
+    if (diff) {
+        showToast(`✅ Refresh applied: ${diff.added.length} new, ${diff.removed.length} gone, ${diff.changed.length} changed`, 'success');
+    }
+}
+
+function confirmDiscardRefresh() {
+    if (!diffModalListId) return;
+    
+    discardRefresh(diffModalListId);
+    closeDiffModal();
+    showToast('🗑️ Refresh discarded');
+}
+
+// Base URLs typed into the settings modal, per provider, until saved
+let settingsDraftUrls = {};
+
+function openSettingsModal() {
+    const settings = Settings.load();
+    
+    settingsDraftUrls = { ...settings.geocoderBaseUrls };
+    
+    const providerSelect = document.getElementById('settings-provider');
+    providerSelect.value = GeocoderProviders[settings.geocoderProvider] ? settings.geocoderProvider : 'nominatim';
+    providerSelect.dataset.current = providerSelect.value;
+    
+    document.getElementById('settings-pelias-key').value = settings.peliasApiKey || '';
+    document.getElementById('settings-overpass-endpoints').value = (settings.overpassEndpoints || []).join('\n');
+    document.getElementById('settings-cache-ttl').value = settings.geocodeCacheTtlDays;
+    document.getElementById('settings-cache-max').value = settings.geocodeCacheMaxEntries;
+    updateCacheReadout();
+    showProviderSettings(providerSelect.value);
+    
+    document.getElementById('settings-modal').classList.add('active');
+}
+
+function closeSettingsModal() {
+    document.getElementById('settings-modal').classList.remove('active');
+}
+
+// Show the base URL and key fields for the chosen provider
+function showProviderSettings(providerId) {
+    const urlInput = document.getElementById('settings-base-url');
+    
+    urlInput.value = settingsDraftUrls[providerId] || '';
+    urlInput.placeholder = GeocoderProviders[providerId].defaultBaseUrl;
     
-    // Don't auto-zoom - let user control the map view
-    // Markers will appear at their locations without changing the current view
+    document.getElementById('settings-pelias-key-field').classList.toggle('hidden', providerId !== 'pelias');
 }
 
-// ========================================
-// Location Search
-// ========================================
+function handleProviderChange() {
+    const providerSelect = document.getElementById('settings-provider');
+    
+    // Keep what was typed for the previous provider
+    settingsDraftUrls[providerSelect.dataset.current] = document.getElementById('settings-base-url').value.trim();
+    providerSelect.dataset.current = providerSelect.value;
+    
+    showProviderSettings(providerSelect.value);
+}
 
-async function searchLocation(query) {
-    if (!query || query.length < 3) {
-        hideSearchResults();
-        return;
-    }
+function saveSettings() {
+    const provider = document.getElementById('settings-provider').value;
+    settingsDraftUrls[provider] = document.getElementById('settings-base-url').value.trim();
+    
+    // Fall back to the defaults for empty or nonsensical cache limits
+    const ttlDays = parseInt(document.getElementById('settings-cache-ttl').value);
+    const maxEntries = parseInt(document.getElementById('settings-cache-max').value);
+    
+    Settings.update({
+        geocodeCacheTtlDays: ttlDays > 0 ? ttlDays : Settings.DEFAULTS.geocodeCacheTtlDays,
+        geocodeCacheMaxEntries: maxEntries > 0 ? maxEntries : Settings.DEFAULTS.geocodeCacheMaxEntries,
+        geocoderProvider: provider,
+        geocoderBaseUrls: { ...settingsDraftUrls },
+        peliasApiKey: document.getElementById('settings-pelias-key').value.trim(),
+        overpassEndpoints: document.getElementById('settings-overpass-endpoints').value
+            .split('\n')
+            .map(url => url.trim())
+            .filter(Boolean)
+    });
     
+    closeSettingsModal();
+    showToast(`⚙️ Settings saved - geocoding with ${Geocoder.label()}`, 'success');
+    
+    // Apply tightened cache limits right away
+    GeocodeCache.evict();
+}
+
+async function updateCacheReadout() {
+    document.getElementById('cache-readout').textContent = await GeocodeCache.describe();
+}
+
+async function clearGeocodeCache() {
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=5`,
-            {
-                headers: {
-                    'Accept': 'application/json'
-                }
-            }
-        );
-        
-        if (!response.ok) throw new Error('Search failed');
-        
-        const results = await response.json();
-        displaySearchResults(results);
-        
+        await GeocodeCache.clear();
+        showToast('🗑️ Geocode cache cleared', 'success');
     } catch (error) {
-        console.error('Search error:', error);
-        hideSearchResults();
+        console.error('Failed to clear geocode cache:', error);
+        showToast('❌ Could not clear the geocode cache', 'error');
     }
+    updateCacheReadout();
 }
 
-function displaySearchResults(results) {
-    const container = document.getElementById('search-results');
-    
-    if (!results || results.length === 0) {
-        container.innerHTML = '<div class="search-result-item"><span class="result-name">No results found</span></div>';
-        container.classList.add('active');
-        return;
+// The template being edited in the CSV template modal, until saved
+let csvTemplateDraft = null;
+
+function openCsvTemplateModal() {
+    toggleExportMenu(false);
+    loadCsvTemplateDraft(currentCsvTemplate());
+    document.getElementById('csv-template-modal').classList.add('active');
+}
+
+function closeCsvTemplateModal() {
+    document.getElementById('csv-template-modal').classList.remove('active');
+    csvTemplateDraft = null;
+}
+
+function loadCsvTemplateDraft(template) {
+    csvTemplateDraft = JSON.parse(JSON.stringify(template));
+    renderCsvTemplateEditor();
+}
+
+// Presets are read-only - they can only be saved as a new template
+function renderCsvTemplateEditor() {
+    const draft = csvTemplateDraft;
+    const preset = isPresetTemplate(draft.id);
+    const saved = (Settings.get('csvTemplates') || []).some(t => t.id === draft.id);
+    
+    renderCsvTemplateOptions(document.getElementById('csv-template-select'), draft.id);
+    if (!saved && !preset) {
+        // A duplicate that has not been saved yet
+        document.getElementById('csv-template-select').insertAdjacentHTML('afterbegin', `<option value="${escapeHtml(draft.id)}">${escapeHtml(draft.name)} (unsaved)</option>`);
+        document.getElementById('csv-template-select').value = draft.id;
     }
     
-    container.innerHTML = results.map(result => `
-        <div class="search-result-item" data-lat="${result.lat}" data-lng="${result.lon}">
-            <div class="result-name">${result.display_name.split(',')[0]}</div>
-            <div class="result-address">${result.display_name.split(',').slice(1, 3).join(',')}</div>
+    const nameInput = document.getElementById('csv-template-name');
+    nameInput.value = draft.name;
+    document.getElementById('csv-template-delimiter').value = draft.delimiter;
+    document.getElementById('csv-template-encoding').value = draft.encoding;
+    document.getElementById('csv-template-split').checked = !!draft.splitHouseNumber;
+    
+    const fieldOptions = Object.entries(CSV_FIELDS)
+        .map(([field, config]) => `<option value="${field}">${config.label}</option>`)
+        .join('');
+    
+    document.getElementById('csv-template-columns').innerHTML = draft.columns.map((column, index) => `
+        <div class="csv-column-row">
+            <select data-column-field="${index}">${fieldOptions}</select>
+            <input type="text" data-column-header="${index}" value="${escapeHtml(column.header)}" placeholder="Header">
+            <button class="csv-column-btn" data-column-move="${index}" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="csv-column-btn" data-column-move="${index}" data-direction="1" title="Move down" ${index === draft.columns.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="csv-column-btn" data-column-remove="${index}" title="Remove column">×</button>
         </div>
     `).join('');
     
-    container.classList.add('active');
-    
-    // Add click handlers
-    container.querySelectorAll('.search-result-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const lat = parseFloat(item.dataset.lat);
-            const lng = parseFloat(item.dataset.lng);
-            
-            if (!isNaN(lat) && !isNaN(lng)) {
-                state.map.setView([lat, lng], 15);
-                
-                // Add a marker
-                L.marker([lat, lng])
-                    .addTo(state.map)
-                    .bindPopup(item.querySelector('.result-name').textContent)
-                    .openPopup();
-            }
-            
-            hideSearchResults();
-            document.getElementById('location-search').value = '';
-        });
+    draft.columns.forEach((column, index) => {
+        document.querySelector(`[data-column-field="${index}"]`).value = column.field;
     });
+    
+    ['csv-template-name', 'csv-template-delimiter', 'csv-template-encoding', 'csv-template-split', 'csv-template-add-column']
+        .forEach(id => { document.getElementById(id).disabled = preset; });
+    if (preset) {
+        document.querySelectorAll('#csv-template-columns input, #csv-template-columns select, #csv-template-columns button')
+            .forEach(el => { el.disabled = true; });
+    }
+    
+    showCsvTemplateMessage(preset ? 'Presets cannot be changed - duplicate one to make your own.' : '');
+    document.getElementById('csv-template-delete').classList.toggle('hidden', !saved);
+    document.getElementById('csv-template-save').disabled = preset;
+    
+    renderCsvTemplatePreview();
 }
 
-function hideSearchResults() {
-    document.getElementById('search-results').classList.remove('active');
+function showCsvTemplateMessage(text) {
+    const message = document.getElementById('csv-template-message');
+    message.textContent = text;
+    message.classList.toggle('hidden', !text);
 }
 
-// ========================================
-// CSV Export
-// ========================================
-
-function exportToCSV() {
+// Header and first row of the current list as the template would write them
+function renderCsvTemplatePreview() {
     const list = state.lists.find(l => l.id === state.currentListId);
-    if (!list || list.addresses.length === 0) return;
+    const sample = list && list.addresses.length > 0 ? list.addresses.slice(0, 1) : [];
     
-    // Create CSV content
-    const headers = ['Address', 'City', 'State', 'Zipcode', 'Latitude', 'Longitude'];
-    const rows = list.addresses.map(a => [
-        `"${a.address.replace(/"/g, '""')}"`,
-        `"${a.city.replace(/"/g, '""')}"`,
-        `"${a.state.replace(/"/g, '""')}"`,
-        `"${a.zipcode}"`,
-        a.lat,
-        a.lng
-    ]);
-    
-    const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    
-    // Create and download file
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    link.setAttribute('download', `${list.name.replace(/[^a-z0-9]/gi, '_')}.csv`);
-    link.style.display = 'none';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    document.getElementById('csv-template-preview').textContent = csvTemplateDraft.columns.length > 0
+        ? csvText(list || { shapes: [] }, sample, csvTemplateDraft).replace(/\t/g, '→')
+        : 'No columns';
 }
 
-// ========================================
-// UI Rendering
-// ========================================
+// Read the form back into the draft - the column list is re-rendered for structural changes only
+function readCsvTemplateForm() {
+    const draft = csvTemplateDraft;
+    
+    draft.name = document.getElementById('csv-template-name').value;
+    draft.delimiter = document.getElementById('csv-template-delimiter').value;
+    draft.encoding = document.getElementById('csv-template-encoding').value;
+    draft.columns.forEach((column, index) => {
+        column.field = document.querySelector(`[data-column-field="${index}"]`).value;
+        column.header = document.querySelector(`[data-column-header="${index}"]`).value;
+    });
+}
 
-function renderLists() {
-    const container = document.getElementById('lists-container');
+function handleCsvTemplateInput(e) {
+    if (!csvTemplateDraft || isPresetTemplate(csvTemplateDraft.id)) return;
+    
+    // A new column field brings its label as header unless one was typed
+    const fieldIndex = e.target.dataset.columnField;
+    if (fieldIndex !== undefined) {
+        const column = csvTemplateDraft.columns[fieldIndex];
+        const header = document.querySelector(`[data-column-header="${fieldIndex}"]`);
+        if (!header.value.trim() || header.value === CSV_FIELDS[column.field].label) {
+            header.value = CSV_FIELDS[e.target.value].label;
+        }
+    }
     
-    if (state.lists.length === 0) {
-        container.innerHTML = `
-            <div class="empty-lists">
-                <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                    <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
-                    <polyline points="14,2 14,8 20,8"/>
-                    <line x1="12" y1="18" x2="12" y2="12"/>
-                    <line x1="9" y1="15" x2="15" y2="15"/>
-                </svg>
-                <p>No lists yet. Click + to create one.</p>
-            </div>
-        `;
-        return;
+    readCsvTemplateForm();
+    renderCsvTemplatePreview();
+}
+
+// Splitting adds a house number column before the address, unsplitting takes it out again
+function toggleCsvTemplateSplit(split) {
+    readCsvTemplateForm();
+    const draft = csvTemplateDraft;
+    draft.splitHouseNumber = split;
+    
+    if (split && !draft.columns.some(c => c.field === 'houseNumber')) {
+        const addressIndex = draft.columns.findIndex(c => c.field === 'address' || c.field === 'addressWithUnit');
+        draft.columns.splice(Math.max(addressIndex, 0), 0, { field: 'houseNumber', header: CSV_FIELDS.houseNumber.label });
+    } else if (!split) {
+        draft.columns = draft.columns.filter(c => c.field !== 'houseNumber');
     }
     
-    container.innerHTML = state.lists.map(list => `
-        <div class="list-item ${list.id === state.currentListId ? 'active' : ''}" data-list-id="${list.id}">
-            <div class="list-item-info">
-                <div class="list-item-name">${escapeHtml(list.name)}</div>
-                <div class="list-item-count">${list.addresses.length} address${list.addresses.length !== 1 ? 'es' : ''}</div>
-            </div>
-            <div class="list-item-actions">
-                <button class="list-action-btn delete" data-delete-list="${list.id}" title="Delete list">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
-                    </svg>
-                </button>
-            </div>
-        </div>
-    `).join('');
+    renderCsvTemplateEditor();
+}
+
+function handleCsvTemplateColumnClick(e) {
+    const moveBtn = e.target.closest('[data-column-move]');
+    const removeBtn = e.target.closest('[data-column-remove]');
+    if (!moveBtn && !removeBtn) return;
+    
+    readCsvTemplateForm();
+    const columns = csvTemplateDraft.columns;
+    
+    if (moveBtn) {
+        const index = Number(moveBtn.dataset.columnMove);
+        const target = index + Number(moveBtn.dataset.direction);
+        [columns[index], columns[target]] = [columns[target], columns[index]];
+    } else {
+        columns.splice(Number(removeBtn.dataset.columnRemove), 1);
+    }
     
-    // Add click handlers
-    container.querySelectorAll('.list-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            if (!e.target.closest('.list-action-btn')) {
-                selectList(item.dataset.listId);
-            }
-        });
-    });
+    renderCsvTemplateEditor();
+}
+
+function addCsvTemplateColumn() {
+    readCsvTemplateForm();
     
-    container.querySelectorAll('[data-delete-list]').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (confirm('Delete this list?')) {
-                deleteList(btn.dataset.deleteList);
-            }
-        });
-    });
+    // The first field not in the template yet
+    const used = csvTemplateDraft.columns.map(c => c.field);
+    const field = Object.keys(CSV_FIELDS).find(f => !used.includes(f)) || 'address';
+    
+    csvTemplateDraft.columns.push({ field: field, header: CSV_FIELDS[field].label });
+    renderCsvTemplateEditor();
 }
 
-function renderAddresses(addresses) {
-    const tbody = document.getElementById('addresses-body');
-    const emptyState = document.getElementById('empty-state');
-    const table = document.getElementById('addresses-table');
+function duplicateCsvTemplate() {
+    if (!isPresetTemplate(csvTemplateDraft.id)) readCsvTemplateForm();
     
-    // Update stats
-    document.getElementById('address-count').textContent = addresses.length;
-    document.getElementById('unique-zips').textContent = new Set(addresses.map(a => a.zipcode).filter(Boolean)).size;
-    document.getElementById('unique-cities').textContent = new Set(addresses.map(a => a.city).filter(Boolean)).size;
+    loadCsvTemplateDraft({
+        ...csvTemplateDraft,
+        id: generateId(),
+        name: `${csvTemplateDraft.name} (copy)`
+    });
+    document.getElementById('csv-template-name').select();
+}
+
+function saveCsvTemplateFromModal() {
+    readCsvTemplateForm();
+    const draft = csvTemplateDraft;
     
-    if (addresses.length === 0) {
-        emptyState.classList.remove('hidden');
-        table.style.display = 'none';
+    draft.name = draft.name.trim();
+    if (!draft.name) {
+        document.getElementById('csv-template-name').focus();
+        return;
+    }
+    if (draft.columns.length === 0) {
+        showCsvTemplateMessage('Add at least one column.');
         return;
     }
     
-    emptyState.classList.add('hidden');
-    table.style.display = 'table';
-    
-    tbody.innerHTML = addresses.map(addr => {
-        // Ensure lat/lng are properly formatted and displayed
-        const lat = addr.lat ? parseFloat(addr.lat).toFixed(6) : 'N/A';
-        const lng = addr.lng ? parseFloat(addr.lng).toFixed(6) : 'N/A';
-        
-        // Check for missing data
-        const cityClass = !addr.city ? 'missing-data' : '';
-        const stateClass = !addr.state ? 'missing-data' : '';
-        const zipClass = !addr.zipcode ? 'missing-data' : '';
-        
-        const cityDisplay = addr.city || '—';
-        const stateDisplay = addr.state || '—';
-        const zipDisplay = addr.zipcode || '—';
-        
-        return `
-        <tr data-address-id="${addr.id}">
-            <td title="${escapeHtml(addr.address)}">${escapeHtml(addr.address)}</td>
-            <td class="${cityClass}" title="${addr.city ? escapeHtml(addr.city) : 'Missing - click Enrich to fill'}">${escapeHtml(cityDisplay)}</td>
-            <td class="${stateClass}" title="${addr.state ? escapeHtml(addr.state) : 'Missing - click Enrich to fill'}">${escapeHtml(stateDisplay)}</td>
-            <td class="${zipClass}" title="${addr.zipcode ? escapeHtml(addr.zipcode) : 'Missing - click Enrich to fill'}">${escapeHtml(zipDisplay)}</td>
-            <td class="coord-cell" title="Latitude: ${lat}">${lat}</td>
-            <td class="coord-cell" title="Longitude: ${lng}">${lng}</td>
-            <td>
-                <button class="delete-address-btn" data-delete-address="${addr.id}" title="Remove">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M18 6L6 18M6 6l12 12"/>
-                    </svg>
-                </button>
-            </td>
-        </tr>
-    `;
-    }).join('');
-    
-    // Add delete handlers
-    tbody.querySelectorAll('[data-delete-address]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            deleteAddress(btn.dataset.deleteAddress);
-        });
+    // Empty headers fall back to the field's label
+    draft.columns.forEach(column => {
+        column.header = column.header.trim() || CSV_FIELDS[column.field].label;
     });
     
-    // Add click to zoom handlers
-    tbody.querySelectorAll('tr').forEach(row => {
-        row.addEventListener('dblclick', () => {
-            const addr = addresses.find(a => a.id === row.dataset.addressId);
-            if (addr) {
-                state.map.setView([parseFloat(addr.lat), parseFloat(addr.lng)], 18);
-            }
-        });
-    });
-}
-
-// ========================================
-// Modal Handling
-// ========================================
-
-function openNewListModal() {
-    document.getElementById('new-list-modal').classList.add('active');
-    document.getElementById('list-name').value = '';
-    document.getElementById('list-name').focus();
+    saveCsvTemplate(draft);
+    closeCsvTemplateModal();
+    showToast(`💾 CSV template "${draft.name}" saved and selected`, 'success');
 }
 
-function closeNewListModal() {
-    document.getElementById('new-list-modal').classList.remove('active');
-}
-
-function handleCreateList() {
-    const name = document.getElementById('list-name').value.trim();
-    if (name) {
-        const listId = createList(name);
-        selectList(listId);
-        closeNewListModal();
-    }
+function deleteCsvTemplateFromModal() {
+    const template = csvTemplateDraft;
+    if (!confirm(`Delete the CSV template "${template.name}"?`)) return;
+    
+    deleteCsvTemplate(template.id);
+    loadCsvTemplateDraft(currentCsvTemplate());
+    showToast(`🗑️ CSV template "${template.name}" deleted`);
 }
 
 // ========================================
@@ -1962,6 +5893,16 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Text and attribute values for KML and GPX - the HTML serializer writes entities such as &nbsp;
+// that XML doesn't know, and control characters aren't allowed in XML at all
+function escapeXml(text) {
+    if (!text) return '';
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+    return String(text)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/[&<>"']/g, char => entities[char]);
+}
+
 // ========================================
 // Event Listeners
 // ========================================
@@ -1972,8 +5913,14 @@ function setupEventListeners() {
     document.getElementById('draw-circle').addEventListener('click', () => startDrawing('circle'));
     document.getElementById('draw-rectangle').addEventListener('click', () => startDrawing('rectangle'));
     document.getElementById('draw-polyline').addEventListener('click', () => startDrawing('polyline'));
+    document.getElementById('toggle-exclude').addEventListener('click', toggleExcludeMode);
+    document.getElementById('toggle-pick').addEventListener('click', togglePickMode);
+    document.getElementById('toggle-clustering').addEventListener('click', toggleClustering);
     document.getElementById('clear-drawings').addEventListener('click', clearDrawings);
     
+    // Address table: scrolling, row actions, sorting and filters
+    setupAddressTable();
+    
     // Search
     const searchInput = document.getElementById('location-search');
     searchInput.addEventListener('input', (e) => {
@@ -2018,8 +5965,104 @@ function setupEventListeners() {
         }
     });
     
-    // Export CSV
-    document.getElementById('export-csv').addEventListener('click', exportToCSV);
+    // Delete shape modal
+    document.getElementById('delete-shape-close').addEventListener('click', closeDeleteShapeModal);
+    document.getElementById('delete-shape-cancel').addEventListener('click', closeDeleteShapeModal);
+    document.getElementById('delete-shape-confirm').addEventListener('click', confirmDeleteShape);
+    
+    document.getElementById('delete-shape-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'delete-shape-modal') {
+            closeDeleteShapeModal();
+        }
+    });
+    
+    // Manual address modal
+    document.getElementById('add-address').addEventListener('click', openManualAddressModal);
+    document.getElementById('manual-address-close').addEventListener('click', closeManualAddressModal);
+    document.getElementById('manual-address-cancel').addEventListener('click', closeManualAddressModal);
+    document.getElementById('manual-address-save').addEventListener('click', saveManualAddress);
+    
+    document.getElementById('manual-address-modal').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            saveManualAddress();
+        } else if (e.key === 'Escape') {
+            closeManualAddressModal();
+        }
+    });
+    
+    document.getElementById('manual-address-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'manual-address-modal') {
+            closeManualAddressModal();
+        }
+    });
+    
+    // Refresh diff modal
+    document.getElementById('diff-close').addEventListener('click', closeDiffModal);
+    document.getElementById('diff-later').addEventListener('click', closeDiffModal);
+    document.getElementById('diff-discard').addEventListener('click', confirmDiscardRefresh);
+    document.getElementById('diff-accept').addEventListener('click', confirmAcceptRefresh);
+    
+    document.getElementById('diff-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'diff-modal') {
+            closeDiffModal();
+        }
+    });
+    
+    // Settings modal
+    document.getElementById('open-settings').addEventListener('click', openSettingsModal);
+    document.getElementById('settings-close').addEventListener('click', closeSettingsModal);
+    document.getElementById('settings-cancel').addEventListener('click', closeSettingsModal);
+    document.getElementById('settings-save').addEventListener('click', saveSettings);
+    document.getElementById('settings-provider').addEventListener('change', handleProviderChange);
+    document.getElementById('clear-cache-btn').addEventListener('click', clearGeocodeCache);
+    
+    document.getElementById('settings-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'settings-modal') {
+            closeSettingsModal();
+        }
+    });
+    
+    // Export menu
+    document.getElementById('export-button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleExportMenu();
+    });
+    document.querySelectorAll('[data-export-format]').forEach(btn => {
+        btn.addEventListener('click', () => handleExportFormat(btn.dataset.exportFormat));
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-dropdown')) toggleExportMenu(false);
+    });
+    document.getElementById('export-csv-template').addEventListener('change', (e) => {
+        Settings.update({ csvTemplateId: e.target.value });
+    });
+    document.getElementById('edit-csv-templates').addEventListener('click', openCsvTemplateModal);
+    
+    // CSV template modal
+    document.getElementById('csv-template-close').addEventListener('click', closeCsvTemplateModal);
+    document.getElementById('csv-template-cancel').addEventListener('click', closeCsvTemplateModal);
+    document.getElementById('csv-template-save').addEventListener('click', saveCsvTemplateFromModal);
+    document.getElementById('csv-template-delete').addEventListener('click', deleteCsvTemplateFromModal);
+    document.getElementById('csv-template-duplicate').addEventListener('click', duplicateCsvTemplate);
+    document.getElementById('csv-template-add-column').addEventListener('click', addCsvTemplateColumn);
+    document.getElementById('csv-template-split').addEventListener('change', (e) => toggleCsvTemplateSplit(e.target.checked));
+    document.getElementById('csv-template-columns').addEventListener('click', handleCsvTemplateColumnClick);
+    document.getElementById('csv-template-select').addEventListener('change', (e) => {
+        const template = csvTemplates().find(t => t.id === e.target.value);
+        if (template) loadCsvTemplateDraft(template);
+    });
+    
+    const templateForm = document.querySelector('#csv-template-modal .modal-body');
+    templateForm.addEventListener('input', handleCsvTemplateInput);
+    templateForm.addEventListener('change', (e) => {
+        if (e.target.tagName === 'SELECT' && e.target.id !== 'csv-template-select') handleCsvTemplateInput(e);
+    });
+    
+    document.getElementById('csv-template-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'csv-template-modal') {
+            closeCsvTemplateModal();
+        }
+    });
     
     // Enrich addresses button
     document.getElementById('enrich-addresses').addEventListener('click', enrichCurrentListAddresses);
@@ -2029,6 +6072,55 @@ function setupEventListeners() {
     
     // Sidebar toggle
     document.getElementById('toggle-sidebar').addEventListener('click', toggleSidebar);
+    
+    // Jobs panel
+    document.getElementById('clear-finished-jobs').addEventListener('click', clearFinishedJobs);
+    
+    // Boundary import - from the button or by dropping a file on the map
+    const importInput = document.getElementById('import-file');
+    const mapContainer = document.getElementById('map');
+    
+    document.getElementById('import-boundary').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importBoundaryFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    
+    mapContainer.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        mapContainer.classList.add('dragover');
+    });
+    
+    mapContainer.addEventListener('dragleave', () => {
+        mapContainer.classList.remove('dragover');
+    });
+    
+    mapContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        mapContainer.classList.remove('dragover');
+        
+        if (e.dataTransfer.files.length > 0) {
+            importBoundaryFile(e.dataTransfer.files[0]);
+        }
+    });
+    
+    document.getElementById('import-name-property').addEventListener('change', (e) => setImportNameProperty(e.target.value));
+    document.getElementById('import-target').addEventListener('change', (e) => setImportTarget(e.target.value));
+    document.getElementById('import-collect-all').addEventListener('click', collectAllImportedAreas);
+    document.getElementById('import-clear').addEventListener('click', clearImportedAreas);
+    
+    // Building filter panel
+    document.getElementById('building-filter-types').addEventListener('change', saveBuildingFilter);
+    document.getElementById('building-filter-min-area').addEventListener('change', saveBuildingFilter);
+    document.querySelectorAll('.filter-preset-btn').forEach(btn => {
+        btn.addEventListener('click', () => applyBuildingFilterPreset(btn.dataset.preset));
+    });
+    
+    // Corridor options
+    document.getElementById('corridor-width').addEventListener('change', saveCorridorOptions);
+    document.getElementById('corridor-match-street').addEventListener('change', saveCorridorOptions);
 }
 
 // ========================================
@@ -2036,8 +6128,9 @@ function setupEventListeners() {
 // ========================================
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Load saved lists from localStorage
+    // Load saved lists and collection jobs from localStorage
     Storage.loadLists();
+    Storage.loadJobs();
     
     // Initialize the map
     initMap();
@@ -2045,12 +6138,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup event listeners
     setupEventListeners();
     
-    // Render initial lists
+    // Render initial lists and any jobs left over from the last session
     renderLists();
+    restoreInterruptedJobs();
+    renderJobs();
+    renderCorridorOptions();
+    renderClusteringToggle();
     
     // Select first list if exists
     if (state.lists.length > 0) {
         selectList(state.lists[0].id);
+    } else {
+        renderBuildingFilter();
     }
     
     console.log('Address Collector initialized!');
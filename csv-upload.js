@@ -10,9 +10,9 @@
 const csvState = {
     map: null,
     markersLayer: null,
+    pinIcon: null, // One divIcon shared by every pin
     data: [],
     currentMode: 'latlong', // 'latlong' or 'address'
-    geocodedCache: new Map(), // Cache geocoded results
     isGeocoding: false
 };
 
@@ -42,8 +42,8 @@ function initMap() {
         opacity: 0.9
     }).addTo(csvState.map);
     
-    // Initialize markers layer
-    csvState.markersLayer = L.featureGroup().addTo(csvState.map);
+    // Initialize markers layer - clustered unless switched off in the shared settings
+    csvState.markersLayer = MarkerLayer.create().addTo(csvState.map);
     
     // Update coordinates and zoom on mouse move/zoom
     csvState.map.on('mousemove', (e) => {
@@ -236,7 +236,7 @@ async function handleFile(file) {
 
 async function placeMarkers() {
     // Clear existing markers
-    csvState.markersLayer.clearLayers();
+    csvState.markersLayer = MarkerLayer.setMarkers(csvState.map, csvState.markersLayer, []);
     
     if (csvState.data.length === 0) {
         updateMapStatus('Ready');
@@ -246,7 +246,7 @@ async function placeMarkers() {
     updateMapStatus('Placing markers...');
     
     if (csvState.currentMode === 'latlong') {
-        placeMarkersLatLong();
+        await placeMarkersLatLong();
     } else {
         await placeMarkersAddress();
     }
@@ -263,17 +263,18 @@ async function placeMarkers() {
     updateMapStatus(`${mappedCount} markers`);
 }
 
-function placeMarkersLatLong() {
-    let placed = 0;
+async function placeMarkersLatLong() {
+    const markers = [];
     
     for (const row of csvState.data) {
         if (row.latitude !== null && row.longitude !== null) {
-            addMarker(row, row.latitude, row.longitude);
-            placed++;
+            markers.push(createMarker(row, row.latitude, row.longitude));
         }
     }
     
-    if (placed === 0) {
+    await MarkerLayer.addMarkers(csvState.markersLayer, markers);
+    
+    if (markers.length === 0) {
         showToast('No valid lat/long coordinates found', 'warning');
     }
 }
@@ -289,13 +290,15 @@ async function placeMarkersAddress() {
     });
     
     // First, place any rows that already have coordinates
+    const placed = [];
     for (const row of csvState.data) {
         if (row.geocoded) {
-            addMarker(row, row.geocoded.lat, row.geocoded.lng);
+            placed.push(createMarker(row, row.geocoded.lat, row.geocoded.lng));
         } else if (row.latitude !== null && row.longitude !== null) {
-            addMarker(row, row.latitude, row.longitude);
+            placed.push(createMarker(row, row.latitude, row.longitude));
         }
     }
+    await MarkerLayer.addMarkers(csvState.markersLayer, placed);
     
     // If no rows need geocoding, we're done
     if (rowsNeedingGeocode.length === 0) {
@@ -315,7 +318,7 @@ async function placeMarkersAddress() {
     let completed = 0;
     let successful = 0;
     
-    // Process in batches
+    // Process in batches - the request scheduler keeps them within the geocoder's rate limit
     const batchSize = 5;
     
     for (let i = 0; i < rowsNeedingGeocode.length; i += batchSize) {
@@ -344,11 +347,6 @@ async function placeMarkersAddress() {
         const percent = Math.round((completed / rowsNeedingGeocode.length) * 100);
         progressFill.style.width = `${percent}%`;
         progressCount.textContent = `${completed}/${rowsNeedingGeocode.length}`;
-        
-        // Delay between batches to avoid rate limiting
-        if (i + batchSize < rowsNeedingGeocode.length) {
-            await sleep(300);
-        }
     }
     
     // Update stats
@@ -357,6 +355,7 @@ async function placeMarkersAddress() {
     
     // Hide progress and show result
     progressText.textContent = `Done! ${successful} geocoded`;
+    updateCacheReadout();
     
     setTimeout(() => {
         progressContainer.classList.remove('active');
@@ -382,47 +381,10 @@ async function geocodeAddress(row) {
     
     if (!addressString) return null;
     
-    // Check cache
-    const cacheKey = addressString.toLowerCase();
-    if (csvState.geocodedCache.has(cacheKey)) {
-        return csvState.geocodedCache.get(cacheKey);
-    }
-    
     try {
-        const response = await fetch(
-            `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(addressString)}&limit=1`,
-            {
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'CSVMapViewer/1.0'
-                }
-            }
-        );
-        
-        if (!response.ok) {
-            if (response.status === 429) {
-                // Rate limited, wait and retry
-                await sleep(1000);
-                return geocodeAddress(row);
-            }
-            return null;
-        }
-        
-        const results = await response.json();
-        
-        if (results && results.length > 0) {
-            const result = {
-                lat: parseFloat(results[0].lat),
-                lng: parseFloat(results[0].lon)
-            };
-            
-            // Cache result
-            csvState.geocodedCache.set(cacheKey, result);
-            
-            return result;
-        }
-        
-        return null;
+        // Forward geocode through the provider picked in the shared settings -
+        // repeated addresses are answered from the persistent geocode cache
+        return await Geocoder.geocode(addressString);
         
     } catch (error) {
         console.warn('Geocode error:', error);
@@ -431,12 +393,21 @@ async function geocodeAddress(row) {
 }
 
 function addMarker(row, lat, lng) {
+    MarkerLayer.addMarkers(csvState.markersLayer, [createMarker(row, lat, lng)]);
+}
+
+// Pin for one row - not yet on the map
+function createMarker(row, lat, lng) {
+    if (!csvState.pinIcon) {
+        csvState.pinIcon = createPinIcon();
+    }
+    
     const marker = L.marker([lat, lng], {
-        icon: createPinIcon()
+        icon: csvState.pinIcon
     });
     
-    // Create popup content
-    const popupContent = `
+    // Popup content is built when the popup opens, not for every pin up front
+    const popupContent = () => `
         <div style="min-width: 200px; font-family: 'DM Sans', sans-serif;">
             <div style="font-weight: 600; margin-bottom: 8px; color: #1f2937;">
                 ${escapeHtml(row.address || 'No address')}
@@ -461,7 +432,7 @@ function addMarker(row, lat, lng) {
         highlightTableRow(row.id);
     });
     
-    csvState.markersLayer.addLayer(marker);
+    return marker;
 }
 
 function createPinIcon() {
@@ -506,7 +477,7 @@ function setupModeToggle() {
     
     const descriptions = {
         latlong: '<strong>Lat/Long Mode:</strong> Uses the Latitude and Longitude columns directly to place pins on the map. Fastest option.',
-        address: '<strong>Address Mode:</strong> Geocodes each address (Address, City, State, Zip) to find coordinates. May take longer for large datasets.'
+        address: `<strong>Address Mode:</strong> Geocodes each address (Address, City, State, Zip) with ${escapeHtml(Geocoder.label())} to find coordinates. May take longer for large datasets.`
     };
     
     modeButtons.forEach(btn => {
@@ -548,6 +519,21 @@ function updateStats() {
         new Set(data.map(r => r.state).filter(Boolean)).size;
 }
 
+async function updateCacheReadout() {
+    document.getElementById('cache-readout').textContent = await GeocodeCache.describe();
+}
+
+async function clearGeocodeCache() {
+    try {
+        await GeocodeCache.clear();
+        showToast('Geocode cache cleared', 'success');
+    } catch (error) {
+        console.error('Failed to clear geocode cache:', error);
+        showToast('Could not clear the geocode cache', 'error');
+    }
+    updateCacheReadout();
+}
+
 function renderPreviewTable() {
     const emptyPreview = document.getElementById('empty-preview');
     const table = document.getElementById('preview-table');
@@ -621,7 +607,7 @@ function zoomToMarker(rowId) {
         // Find and open the marker popup
         csvState.markersLayer.eachLayer(marker => {
             if (marker._rowId === rowId) {
-                marker.openPopup();
+                MarkerLayer.openPopup(csvState.markersLayer, marker);
             }
         });
         
@@ -630,8 +616,10 @@ function zoomToMarker(rowId) {
 }
 
 function fitMapToMarkers() {
-    if (csvState.markersLayer.getLayers().length > 0) {
-        csvState.map.fitBounds(csvState.markersLayer.getBounds(), {
+    // A cluster group still loading its pins has no bounds yet
+    const bounds = csvState.markersLayer.getBounds();
+    if (bounds.isValid()) {
+        csvState.map.fitBounds(bounds, {
             padding: [50, 50],
             maxZoom: 15
         });
@@ -644,8 +632,7 @@ function updateMapStatus(status) {
 
 function clearAll() {
     csvState.data = [];
-    csvState.markersLayer.clearLayers();
-    csvState.geocodedCache.clear();
+    csvState.markersLayer = MarkerLayer.setMarkers(csvState.map, csvState.markersLayer, []);
     
     // Reset UI
     document.getElementById('stat-total').textContent = '0';
@@ -700,13 +687,27 @@ function setupEventListeners() {
     // Clear button
     document.getElementById('clear-btn').addEventListener('click', clearAll);
     
+    // Geocode cache
+    document.getElementById('clear-cache-btn').addEventListener('click', clearGeocodeCache);
+    
     // Fit bounds button
     document.getElementById('fit-bounds').addEventListener('click', fitMapToMarkers);
     
-    // Toggle clustering (placeholder for future feature)
-    document.getElementById('toggle-clustering').addEventListener('click', () => {
-        showToast('Clustering feature coming soon!', 'warning');
-    });
+    // Toggle clustering - the choice is saved and shared with the map page
+    document.getElementById('toggle-clustering').addEventListener('click', toggleClustering);
+}
+
+function toggleClustering() {
+    csvState.markersLayer = MarkerLayer.toggle(csvState.map, csvState.markersLayer);
+    renderClusteringToggle();
+    
+    showToast(MarkerLayer.isClustered() ? 'Pins grouped into clusters' : 'Showing every pin', 'success');
+}
+
+function renderClusteringToggle() {
+    const button = document.getElementById('toggle-clustering');
+    button.classList.toggle('active', MarkerLayer.isClustered());
+    button.disabled = !MarkerLayer.isAvailable();
 }
 
 // ========================================
@@ -718,6 +719,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setupFileUpload();
     setupModeToggle();
     setupEventListeners();
+    renderClusteringToggle();
+    updateCacheReadout();
     
     console.log('CSV Map Viewer initialized!');
 });
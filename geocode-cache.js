@@ -0,0 +1,252 @@
+/**
+ * Address Collector - Geocode Cache
+ * Forward and reverse geocoding results kept in IndexedDB, shared by both pages and across sessions.
+ * Entries expire after a TTL and the oldest are dropped once the store grows past its size cap.
+ */
+
+// ========================================
+// Geocode Cache
+// ========================================
+
+const GeocodeCache = {
+    DB_NAME: 'addressCollector_geocodeCache',
+    STORE_NAME: 'entries',
+    EVICT_EVERY: 200,            // Writes between size-cap checks
+    
+    // Lookups answered from / missing in the cache since the page loaded
+    hits: 0,
+    misses: 0,
+    
+    dbPromise: null,
+    writesSinceEvict: 0,
+    
+    // Open the database once - resolves to null if IndexedDB is unavailable
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openGeocodeCacheDb()
+                .then(db => {
+                    this.evict();
+                    return db;
+                })
+                .catch(error => {
+                    console.warn('Geocode cache unavailable, lookups will not be cached:', error);
+                    return null;
+                });
+        }
+        return this.dbPromise;
+    },
+    
+    ttlMs() {
+        return Settings.get('geocodeCacheTtlDays') * 24 * 60 * 60 * 1000;
+    },
+    
+    maxEntries() {
+        return Settings.get('geocodeCacheMaxEntries');
+    },
+    
+    // Keys include the provider, since providers disagree on results
+    forwardKey(providerId, query) {
+        const normalized = query.toLowerCase().replace(/\s*,\s*/g, ', ').replace(/\s+/g, ' ').trim();
+        return `fwd:${providerId}:${normalized}`;
+    },
+    
+    // Coordinates rounded to 5 decimals (~1m) so the same building hits the same entry
+    reverseKey(providerId, lat, lng) {
+        return `rev:${providerId}:${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+    },
+    
+    // OSM object ids like "W123"
+    lookupKey(providerId, osmId) {
+        return `osm:${providerId}:${osmId}`;
+    },
+    
+    // Return the cached value for a key, or run the lookup and cache what it returns.
+    // "Nothing found" (null) is cached too; a lookup that throws is not
+    async getOrFetch(key, lookup) {
+        const cached = await this.get(key);
+        if (cached.found) {
+            this.hits++;
+            return cached.value;
+        }
+        
+        this.misses++;
+        const value = await lookup();
+        await this.set(key, value === undefined ? null : value);
+        return value;
+    },
+    
+    // Batch version of getOrFetch: fetchMissing(keys) resolves to a Map of key -> value for the keys
+    // not in the cache. Returns a Map of key -> value for every key
+    async getOrFetchMany(keys, fetchMissing) {
+        const values = new Map();
+        const missing = [];
+        
+        for (const key of keys) {
+            const cached = await this.get(key);
+            if (cached.found) {
+                this.hits++;
+                values.set(key, cached.value);
+            } else {
+                this.misses++;
+                missing.push(key);
+            }
+        }
+        
+        if (missing.length === 0) return values;
+        
+        const fetched = await fetchMissing(missing);
+        for (const key of missing) {
+            const value = fetched.has(key) ? fetched.get(key) : null;
+            values.set(key, value);
+            await this.set(key, value);
+        }
+        
+        return values;
+    },
+    
+    async get(key) {
+        const db = await this.open();
+        if (!db) return { found: false };
+        
+        try {
+            const entry = await idbRequest(db.transaction(this.STORE_NAME).objectStore(this.STORE_NAME).get(key));
+            if (!entry || Date.now() - entry.storedAt > this.ttlMs()) {
+                return { found: false };
+            }
+            return { found: true, value: entry.value };
+        } catch (error) {
+            console.warn('Geocode cache read failed:', error);
+            return { found: false };
+        }
+    },
+    
+    async set(key, value) {
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).put({ key: key, value: value, storedAt: Date.now() });
+            await idbTransactionDone(tx);
+        } catch (error) {
+            console.warn('Geocode cache write failed:', error);
+            return;
+        }
+        
+        if (++this.writesSinceEvict >= this.EVICT_EVERY) {
+            this.evict();
+        }
+    },
+    
+    async count() {
+        const db = await this.open();
+        if (!db) return 0;
+        
+        try {
+            return await idbRequest(db.transaction(this.STORE_NAME).objectStore(this.STORE_NAME).count());
+        } catch (error) {
+            console.warn('Geocode cache count failed:', error);
+            return 0;
+        }
+    },
+    
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+        
+        const tx = db.transaction(this.STORE_NAME, 'readwrite');
+        tx.objectStore(this.STORE_NAME).clear();
+        await idbTransactionDone(tx);
+        
+        this.hits = 0;
+        this.misses = 0;
+    },
+    
+    // Drop expired entries, then the oldest ones while over the size cap
+    async evict() {
+        const db = await this.open();
+        if (!db) return;
+        
+        this.writesSinceEvict = 0;
+        
+        try {
+            let tx = db.transaction(this.STORE_NAME, 'readwrite');
+            const expired = IDBKeyRange.upperBound(Date.now() - this.ttlMs());
+            await idbDeleteByCursor(tx.objectStore(this.STORE_NAME).index('storedAt').openCursor(expired), Infinity);
+            await idbTransactionDone(tx);
+            
+            const excess = (await this.count()) - this.maxEntries();
+            if (excess > 0) {
+                tx = db.transaction(this.STORE_NAME, 'readwrite');
+                await idbDeleteByCursor(tx.objectStore(this.STORE_NAME).index('storedAt').openCursor(), excess);
+                await idbTransactionDone(tx);
+            }
+        } catch (error) {
+            console.warn('Geocode cache cleanup failed:', error);
+        }
+    },
+    
+    // One-line readout: entries stored plus this session's hits and misses
+    async describe() {
+        const entries = await this.count();
+        const lookups = this.hits + this.misses;
+        const hitRate = lookups > 0 ? ` (${Math.round((this.hits / lookups) * 100)}%)` : '';
+        return `${entries.toLocaleString()} cached · ${this.hits} hits / ${this.misses} misses this session${hitRate}`;
+    }
+};
+
+// ========================================
+// IndexedDB Helpers
+// ========================================
+
+function openGeocodeCacheDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        
+        const request = indexedDB.open(GeocodeCache.DB_NAME, 1);
+        
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(GeocodeCache.STORE_NAME, { keyPath: 'key' });
+            store.createIndex('storedAt', 'storedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Delete up to `limit` records the cursor walks over (oldest first on the storedAt index)
+function idbDeleteByCursor(cursorRequest, limit) {
+    return new Promise((resolve, reject) => {
+        let deleted = 0;
+        
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || deleted >= limit) {
+                resolve(deleted);
+                return;
+            }
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
@@ -0,0 +1,342 @@
+/**
+ * Address Collector - Geocoder Providers
+ * One interface for search, forward and reverse geocoding, shared by both pages.
+ * The active provider and its base URL come from the shared Settings store,
+ * and geocode/reverse results go through the persistent GeocodeCache.
+ */
+
+// ========================================
+// Provider Adapters
+// ========================================
+
+// Every provider turns its own response shape into the same normalized results:
+//   search(baseUrl, query, options) -> [{ name, detail, lat, lng, type, osmType, osmId }]
+//   reverse(baseUrl, lat, lng)      -> { address, houseNumber, street, city, state, zipcode } or null
+// Providers that can resolve OSM objects by id also have:
+//   lookup(baseUrl, osmIds)         -> Map of "W123"/"R456"/"N789" -> address (missing ids are left out)
+//   boundary(baseUrl, osmId)        -> GeoJSON geometry of the object's outline, or null
+const GeocoderProviders = {
+    nominatim: {
+        label: 'Nominatim',
+        defaultBaseUrl: 'https://nominatim.openstreetmap.org',
+        maxLookupIds: 50,
+        
+        async search(baseUrl, query, options) {
+            const results = await geocoderRequest(
+                `${baseUrl}/search?format=json&q=${encodeURIComponent(query)}&limit=${options.limit}&addressdetails=1`
+            );
+            
+            return (results || []).map(result => ({
+                name: result.display_name.split(',')[0],
+                detail: result.display_name.split(',').slice(1, 3).join(',').trim(),
+                lat: parseFloat(result.lat),
+                lng: parseFloat(result.lon),
+                type: result.addresstype || result.type || '',
+                osmType: result.osm_type || '',
+                osmId: result.osm_id || null
+            }));
+        },
+        
+        async reverse(baseUrl, lat, lng) {
+            const data = await geocoderRequest(
+                `${baseUrl}/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18&addressdetails=1`
+            );
+            
+            return nominatimAddress(data);
+        },
+        
+        async lookup(baseUrl, osmIds) {
+            const places = await geocoderRequest(
+                `${baseUrl}/lookup?format=json&osm_ids=${osmIds.join(',')}&addressdetails=1`
+            );
+            const results = new Map();
+            
+            for (const place of places || []) {
+                const address = nominatimAddress(place);
+                if (address && place.osm_type && place.osm_id) {
+                    results.set(`${place.osm_type[0].toUpperCase()}${place.osm_id}`, address);
+                }
+            }
+            
+            return results;
+        },
+        
+        async boundary(baseUrl, osmId) {
+            const places = await geocoderRequest(
+                `${baseUrl}/lookup?format=json&osm_ids=${osmId}&polygon_geojson=1&polygon_threshold=0`
+            );
+            const place = (places || [])[0];
+            
+            return place && place.geojson ? place.geojson : null;
+        }
+    },
+    
+    photon: {
+        label: 'Photon',
+        defaultBaseUrl: 'https://photon.komoot.io',
+        
+        async search(baseUrl, query, options) {
+            const data = await geocoderRequest(
+                `${baseUrl}/api?q=${encodeURIComponent(query)}&limit=${options.limit}`
+            );
+            
+            return ((data && data.features) || []).map(feature => {
+                const props = feature.properties || {};
+                const street = [props.housenumber, props.street].filter(Boolean).join(' ');
+                
+                return {
+                    name: props.name || street || props.city || '',
+                    detail: [props.city, props.state, props.country].filter(Boolean).join(', '),
+                    lat: feature.geometry.coordinates[1],
+                    lng: feature.geometry.coordinates[0],
+                    type: props.type || props.osm_value || '',
+                    osmType: { N: 'node', W: 'way', R: 'relation' }[props.osm_type] || '',
+                    osmId: props.osm_id || null
+                };
+            });
+        },
+        
+        async reverse(baseUrl, lat, lng) {
+            const data = await geocoderRequest(`${baseUrl}/reverse?lat=${lat}&lon=${lng}&limit=1`);
+            const feature = data && data.features && data.features[0];
+            
+            if (!feature) return null;
+            
+            const props = feature.properties || {};
+            
+            return normalizeGeocodedAddress({
+                houseNumber: props.housenumber,
+                street: props.street,
+                name: props.name,
+                city: props.city || props.town || props.village || props.district || props.county,
+                state: props.state,
+                zipcode: props.postcode
+            });
+        }
+    },
+    
+    pelias: {
+        label: 'Pelias',
+        defaultBaseUrl: 'https://api.geocode.earth',
+        
+        async search(baseUrl, query, options) {
+            const data = await geocoderRequest(
+                `${baseUrl}/v1/search?text=${encodeURIComponent(query)}&size=${options.limit}${peliasKeyParam()}`
+            );
+            
+            return ((data && data.features) || []).map(feature => {
+                const props = feature.properties || {};
+                const osm = parsePeliasOsmId(props);
+                
+                return {
+                    name: props.name || '',
+                    detail: [props.locality, props.region, props.country].filter(Boolean).join(', '),
+                    lat: feature.geometry.coordinates[1],
+                    lng: feature.geometry.coordinates[0],
+                    type: props.layer || '',
+                    osmType: osm.type,
+                    osmId: osm.id
+                };
+            });
+        },
+        
+        async reverse(baseUrl, lat, lng) {
+            const data = await geocoderRequest(
+                `${baseUrl}/v1/reverse?point.lat=${lat}&point.lon=${lng}&size=1${peliasKeyParam()}`
+            );
+            const feature = data && data.features && data.features[0];
+            
+            if (!feature) return null;
+            
+            const props = feature.properties || {};
+            
+            return normalizeGeocodedAddress({
+                houseNumber: props.housenumber,
+                street: props.street,
+                name: props.name,
+                city: props.locality || props.localadmin || props.borough || props.county,
+                state: props.region_a || props.region,
+                zipcode: props.postalcode
+            });
+        }
+    }
+};
+
+// ========================================
+// Geocoder Facade
+// ========================================
+
+const Geocoder = {
+    // The provider picked in settings (falls back to Nominatim if unknown)
+    providerId() {
+        const id = Settings.get('geocoderProvider');
+        return GeocoderProviders[id] ? id : 'nominatim';
+    },
+    
+    provider() {
+        return GeocoderProviders[this.providerId()];
+    },
+    
+    // Configured base URL for the active provider, without a trailing slash
+    baseUrl() {
+        const urls = Settings.get('geocoderBaseUrls') || {};
+        const url = urls[this.providerId()] || this.provider().defaultBaseUrl;
+        return url.replace(/\/+$/, '');
+    },
+    
+    label() {
+        return this.provider().label;
+    },
+    
+    // Location search - returns normalized results
+    async search(query, options = {}) {
+        return this.provider().search(this.baseUrl(), query, { limit: options.limit || 5 });
+    },
+    
+    // Forward geocode a free-text address to coordinates (cached)
+    async geocode(query) {
+        const key = GeocodeCache.forwardKey(this.providerId(), query);
+        
+        return GeocodeCache.getOrFetch(key, async () => {
+            const results = await this.search(query, { limit: 1 });
+            if (!results || results.length === 0) return null;
+            
+            const { lat, lng } = results[0];
+            return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+        });
+    },
+    
+    // Reverse geocode a coordinate to a street address (cached)
+    async reverse(lat, lng) {
+        const key = GeocodeCache.reverseKey(this.providerId(), lat, lng);
+        return GeocodeCache.getOrFetch(key, () => this.provider().reverse(this.baseUrl(), lat, lng));
+    },
+    
+    // Whether the active provider can resolve OSM objects by id
+    canLookup() {
+        return typeof this.provider().lookup === 'function';
+    },
+    
+    // Whether the active provider can return the outline of an OSM object
+    canFetchBoundary() {
+        return typeof this.provider().boundary === 'function';
+    },
+    
+    // Outline of an OSM object ("R123") as a GeoJSON geometry - not cached, outlines can be large
+    async boundary(osmId) {
+        if (!this.canFetchBoundary()) return null;
+        return this.provider().boundary(this.baseUrl(), osmId);
+    },
+    
+    // Resolve OSM objects by id ("W123", "R456", "N789") in as few requests as the provider allows (cached).
+    // Returns a Map of id -> address; ids the provider has no address for are left out
+    async lookup(osmIds) {
+        if (!this.canLookup() || osmIds.length === 0) return new Map();
+        
+        const provider = this.provider();
+        const providerId = this.providerId();
+        const keyFor = id => GeocodeCache.lookupKey(providerId, id);
+        
+        const cached = await GeocodeCache.getOrFetchMany(osmIds.map(keyFor), async (missingKeys) => {
+            const missingIds = osmIds.filter(id => missingKeys.includes(keyFor(id)));
+            const fetched = new Map();
+            
+            for (let i = 0; i < missingIds.length; i += provider.maxLookupIds) {
+                const batch = missingIds.slice(i, i + provider.maxLookupIds);
+                const found = await provider.lookup(this.baseUrl(), batch);
+                batch.forEach(id => fetched.set(keyFor(id), found.get(id) || null));
+            }
+            
+            return fetched;
+        });
+        
+        const results = new Map();
+        for (const id of osmIds) {
+            const address = cached.get(keyFor(id));
+            if (address) results.set(id, address);
+        }
+        return results;
+    }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+// Rate limits and retries are handled by the scheduler - a RequestFailure means it gave up
+async function geocoderRequest(url) {
+    const response = await RequestScheduler.fetch(url, {
+        headers: {
+            'Accept': 'application/json'
+        }
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Geocoder HTTP error: ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Normalize a Nominatim place (from /reverse or /lookup)
+function nominatimAddress(place) {
+    if (!place || !place.address) return null;
+    
+    const addr = place.address;
+    
+    return normalizeGeocodedAddress({
+        houseNumber: addr.house_number,
+        street: addr.road || addr.street,
+        // Fallbacks when there is no street, most specific first
+        name: addr.building || addr.amenity || addr.shop || addr.name ||
+            (place.display_name ? place.display_name.split(',')[0] : ''),
+        city: addr.city || addr.town || addr.village || addr.municipality || addr.hamlet || addr.suburb || addr.county,
+        state: addr.state || addr.province || addr.region,
+        zipcode: addr.postcode
+    });
+}
+
+// Build the street address line from provider fields - returns null if nothing usable
+function normalizeGeocodedAddress(fields) {
+    const houseNumber = (fields.houseNumber || '').trim();
+    const street = (fields.street || '').trim();
+    
+    let address = '';
+    
+    if (houseNumber && street) {
+        // Best case: house number + street
+        address = `${houseNumber} ${street}`;
+    } else if (street) {
+        // Just road name
+        address = street;
+    } else if (fields.name) {
+        address = fields.name;
+    }
+    
+    address = address.trim();
+    if (!address) return null;
+    
+    return {
+        address: address,
+        houseNumber: houseNumber,
+        street: street,
+        city: fields.city || '',
+        state: fields.state || '',
+        zipcode: fields.zipcode || ''
+    };
+}
+
+function peliasKeyParam() {
+    const key = Settings.get('peliasApiKey');
+    return key ? `&api_key=${encodeURIComponent(key)}` : '';
+}
+
+// Pelias ids for OSM records look like "way/123456"
+function parsePeliasOsmId(props) {
+    if (props.source !== 'openstreetmap' || !props.source_id) {
+        return { type: '', id: null };
+    }
+    
+    const [type, id] = String(props.source_id).split('/');
+    return { type: type || '', id: id ? Number(id) : null };
+}
@@ -0,0 +1,110 @@
+/**
+ * Address Collector - List Snapshots
+ * Whole address arrays that don't belong in localStorage next to the lists: the addresses a refresh
+ * collects before it is reviewed, and the version of a list kept when a refresh is accepted.
+ * Kept in IndexedDB (helpers from geocode-cache.js) and in memory, so a missing database only
+ * costs the snapshots on reload.
+ */
+
+// ========================================
+// List Snapshots
+// ========================================
+
+const ListSnapshots = {
+    DB_NAME: 'addressCollector_listSnapshots',
+    STORE_NAME: 'snapshots',
+    
+    dbPromise: null,
+    cache: new Map(), // Key -> promise of the addresses, so concurrent readers share one array
+    
+    // Open the database once - resolves to null if IndexedDB is unavailable
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openListSnapshotsDb().catch(error => {
+                console.warn('List snapshot storage unavailable, snapshots will not survive a reload:', error);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    },
+    
+    refreshKey(refreshId) {
+        return `refresh:${refreshId}`;
+    },
+    
+    previousKey(listId) {
+        return `previous:${listId}`;
+    },
+    
+    // The addresses stored under a key, or null if there are none
+    get(key) {
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.read(key));
+        }
+        return this.cache.get(key);
+    },
+    
+    // Readers see the new addresses right away, before the write finishes
+    set(key, addresses) {
+        this.cache.set(key, Promise.resolve(addresses));
+        return this.write(key, addresses);
+    },
+    
+    async delete(key) {
+        this.cache.delete(key);
+        
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).delete(key);
+            await idbTransactionDone(tx);
+        } catch (error) {
+            console.warn('List snapshot delete failed:', error);
+        }
+    },
+    
+    async read(key) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        try {
+            const entry = await idbRequest(db.transaction(this.STORE_NAME).objectStore(this.STORE_NAME).get(key));
+            return entry ? entry.addresses : null;
+        } catch (error) {
+            console.warn('List snapshot read failed:', error);
+            return null;
+        }
+    },
+    
+    async write(key, addresses) {
+        const db = await this.open();
+        if (!db) return;
+        
+        try {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).put({ key: key, addresses: addresses, storedAt: Date.now() });
+            await idbTransactionDone(tx);
+        } catch (error) {
+            console.warn('List snapshot write failed:', error);
+        }
+    }
+};
+
+function openListSnapshotsDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        
+        const request = indexedDB.open(ListSnapshots.DB_NAME, 1);
+        
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(ListSnapshots.STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,134 @@
+/**
+ * Address Collector - Marker Layer
+ * The layer that holds address pins on both pages: a marker cluster group with count badges,
+ * or a plain feature group when clustering is switched off. The choice is kept in the shared Settings store.
+ */
+
+// ========================================
+// Marker Layer
+// ========================================
+
+const MarkerLayer = {
+    CHUNK_SIZE: 2000,            // Pins handed to a cluster group at a time
+    CHUNK_DELAY: 10,             // Pause between chunks so the page stays responsive (ms)
+    
+    // leaflet.markercluster options - pins on the same spot (units of one building) spread out at max zoom
+    CLUSTER_OPTIONS: {
+        maxClusterRadius: 60,
+        spiderfyOnMaxZoom: true,
+        showCoverageOnHover: false,
+        removeOutsideVisibleBounds: true
+    },
+    
+    // Layers taken off the map - pins still being added to them in chunks are dropped
+    retired: new WeakSet(),
+    
+    // Every marker handed to a layer, including chunks not added yet
+    markers: new WeakMap(),
+    
+    // Badge size steps by number of pins in the cluster
+    BADGE_SIZES: [
+        { max: 99, className: 'small', size: 34 },
+        { max: 999, className: 'medium', size: 40 },
+        { max: Infinity, className: 'large', size: 48 }
+    ],
+    
+    // Clustering stays off if the plugin failed to load
+    isAvailable() {
+        return typeof L.markerClusterGroup === 'function';
+    },
+    
+    isClustered() {
+        return this.isAvailable() && Settings.get('markerClustering') !== false;
+    },
+    
+    // A new empty pin layer, clustered or not according to the setting
+    create() {
+        if (!this.isClustered()) {
+            return L.featureGroup();
+        }
+        
+        return L.markerClusterGroup({
+            ...this.CLUSTER_OPTIONS,
+            iconCreateFunction: cluster => this.createBadgeIcon(cluster.getChildCount())
+        });
+    },
+    
+    createBadgeIcon(count) {
+        const step = this.BADGE_SIZES.find(s => count <= s.max);
+        const label = count >= 10000 ? `${Math.round(count / 1000)}k` : count.toLocaleString();
+        
+        return L.divIcon({
+            className: `cluster-badge cluster-badge-${step.className}`,
+            html: `<span>${label}</span>`,
+            iconSize: [step.size, step.size]
+        });
+    },
+    
+    // Add many markers to a layer on the map. A cluster group takes them in chunks, each indexed in one
+    // pass, so the page stays responsive. Resolves once every marker is in (or the layer was retired)
+    addMarkers(layer, markers) {
+        if (!this.markers.has(layer)) this.markers.set(layer, []);
+        const tracked = this.markers.get(layer);
+        markers.forEach(marker => tracked.push(marker));
+        
+        if (typeof layer.addLayers !== 'function') {
+            markers.forEach(marker => layer.addLayer(marker));
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            let offset = 0;
+            
+            const addChunk = () => {
+                if (this.retired.has(layer)) {
+                    resolve();
+                    return;
+                }
+                
+                layer.addLayers(markers.slice(offset, offset + this.CHUNK_SIZE));
+                offset += this.CHUNK_SIZE;
+                
+                if (offset < markers.length) {
+                    setTimeout(addChunk, this.CHUNK_DELAY);
+                } else {
+                    resolve();
+                }
+            };
+            
+            addChunk();
+        });
+    },
+    
+    // Replace all pins of `layer` with `markers` in a fresh layer, so chunks of earlier markers
+    // still on their way into the old one are dropped. Returns the layer now on the map
+    setMarkers(map, layer, markers) {
+        this.retire(map, layer);
+        
+        const replacement = this.create().addTo(map);
+        this.addMarkers(replacement, markers);
+        return replacement;
+    },
+    
+    // Flip the setting and move the pins of `layer` into a new layer of the other kind - all of them,
+    // also those still waiting for their chunk. Returns the new layer, already on the map
+    toggle(map, layer) {
+        Settings.update({ markerClustering: !this.isClustered() });
+        return this.setMarkers(map, layer, this.markers.get(layer) || layer.getLayers());
+    },
+    
+    retire(map, layer) {
+        this.retired.add(layer);
+        map.removeLayer(layer);
+        layer.clearLayers();
+    },
+    
+    // Open a pin's popup, first zooming in far enough to take it out of its cluster
+    openPopup(layer, marker) {
+        if (typeof layer.zoomToShowLayer === 'function') {
+            layer.zoomToShowLayer(marker, () => marker.openPopup());
+        } else {
+            marker.openPopup();
+        }
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * Address Collector - Overpass Client
+ * Every Overpass query goes through here. Endpoints come from the shared Settings store;
+ * when one times out or is overloaded the next one in the list is tried. Requests go through
+ * the RequestScheduler without retries, so a busy server hands over to the next one right away.
+ */
+
+// ========================================
+// Overpass Client
+// ========================================
+
+const Overpass = {
+    ROUNDS: 2,                   // Passes over the endpoint list before giving up
+    ROUND_DELAY: 2000,           // Wait between passes (ms)
+    TIMEOUT_GRACE: 15,           // Seconds added to the query's own [timeout:N] before aborting
+    
+    // Index of the endpoint that answered last - tried first next time
+    preferredIndex: 0,
+    
+    // Configured endpoints, or the public mirrors if the list is empty
+    endpoints() {
+        const configured = (Settings.get('overpassEndpoints') || [])
+            .map(url => url.trim())
+            .filter(Boolean);
+        return configured.length > 0 ? configured : Settings.DEFAULTS.overpassEndpoints;
+    },
+    
+    // Run a query and return the parsed JSON response
+    async query(query) {
+        const endpoints = this.endpoints();
+        const timeoutMatch = query.match(/\[timeout:(\d+)\]/);
+        const timeoutMs = ((timeoutMatch ? parseInt(timeoutMatch[1]) : 180) + this.TIMEOUT_GRACE) * 1000;
+        
+        let lastError = null;
+        
+        for (let round = 0; round < this.ROUNDS; round++) {
+            if (round > 0) {
+                console.warn(`All Overpass endpoints busy, waiting ${this.ROUND_DELAY / 1000}s...`);
+                await new Promise(resolve => setTimeout(resolve, this.ROUND_DELAY));
+            }
+            
+            for (let i = 0; i < endpoints.length; i++) {
+                const index = (this.preferredIndex + i) % endpoints.length;
+                const endpoint = endpoints[index];
+                
+                try {
+                    const data = await overpassRequest(endpoint, query, timeoutMs);
+                    this.preferredIndex = index;
+                    return data;
+                } catch (error) {
+                    if (!error.failover) throw error;
+                    
+                    console.warn(`Overpass endpoint ${endpoint} failed (${error.message}), trying next`);
+                    lastError = error;
+                }
+            }
+        }
+        
+        throw new Error(`All Overpass servers failed (${lastError.message})`);
+    }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+// POST one query to one endpoint. Errors flagged `failover` are worth retrying elsewhere;
+// errors flagged `remark` carry the runtime error Overpass reported for the query
+async function overpassRequest(endpoint, query, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    
+    let response;
+    let data;
+    
+    try {
+        response = await RequestScheduler.fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: 'data=' + encodeURIComponent(query),
+            signal: controller.signal,
+            retries: 0
+        });
+        
+        if (!response.ok) {
+            throw overpassError(`Overpass API error: ${response.status}`);
+        }
+        
+        data = await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw overpassError(`timed out after ${Math.round(timeoutMs / 1000)}s`, { failover: true });
+        }
+        if (error.name === 'RequestFailure') {
+            // Busy (429/5xx) or unreachable - another server may do better
+            throw overpassError(error.status ? `HTTP ${error.status}` : error.message, { failover: true });
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    // Overpass answers 200 with a remark when the query itself failed on the server
+    if (data && data.remark && /runtime error/i.test(data.remark)) {
+        const remark = data.remark.replace(/^runtime error:\s*/i, '').trim();
+        throw overpassError(`Overpass: ${remark}`, { remark: remark });
+    }
+    
+    return data;
+}
+
+function overpassError(message, flags = {}) {
+    const error = new Error(message);
+    error.failover = !!flags.failover;
+    error.remark = flags.remark || null;
+    return error;
+}
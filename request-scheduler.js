@@ -0,0 +1,170 @@
+/**
+ * Address Collector - Request Scheduler
+ * Every outbound request goes through here. Each host gets a concurrency limit and a minimum
+ * spacing between requests; busy answers are retried with exponential backoff and jitter,
+ * Retry-After is honored, and after a capped number of retries the caller gets a RequestFailure.
+ */
+
+// ========================================
+// Host Policies
+// ========================================
+
+// concurrency: requests in flight at once, minInterval: ms between request starts
+const REQUEST_POLICIES = {
+    // Nominatim usage policy: at most one request per second
+    'nominatim.openstreetmap.org': { concurrency: 1, minInterval: 1000 },
+    'photon.komoot.io': { concurrency: 2, minInterval: 200 },
+    'api.geocode.earth': { concurrency: 4, minInterval: 100 },
+    // The main Overpass instance allows two query slots per IP
+    'overpass-api.de': { concurrency: 2, minInterval: 0 },
+    default: { concurrency: 4, minInterval: 0 }
+};
+
+// ========================================
+// Request Scheduler
+// ========================================
+
+const RequestScheduler = {
+    MAX_RETRIES: 4,
+    BASE_DELAY: 1000,            // First backoff step (ms), doubled on every retry
+    MAX_DELAY: 30000,            // Longest backoff between two attempts (ms)
+    MAX_RETRY_AFTER: 120000,     // A longer Retry-After gives up instead of waiting (ms)
+    RETRY_STATUSES: [429, 502, 503, 504],
+    
+    // host -> { active, queue, nextStart, pausedUntil, timer }
+    hosts: {},
+    
+    policyFor(host) {
+        return REQUEST_POLICIES[host] || REQUEST_POLICIES.default;
+    },
+    
+    hostState(host) {
+        if (!this.hosts[host]) {
+            this.hosts[host] = { active: 0, queue: [], nextStart: 0, pausedUntil: 0, timer: null };
+        }
+        return this.hosts[host];
+    },
+    
+    // Drop-in for fetch(). Extra option: retries (defaults to MAX_RETRIES, 0 to fail fast).
+    // Resolves with the Response for any status that is not retryable - the caller checks response.ok
+    async fetch(url, options = {}) {
+        const { retries = this.MAX_RETRIES, ...fetchOptions } = options;
+        const host = new URL(url, window.location.href).host;
+        
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let networkError = null;
+            
+            await this.acquire(host);
+            try {
+                response = await fetch(url, fetchOptions);
+            } catch (error) {
+                // The caller aborted - not ours to retry
+                if (error.name === 'AbortError') throw error;
+                networkError = error;
+            } finally {
+                this.release(host);
+            }
+            
+            if (response && !this.RETRY_STATUSES.includes(response.status)) {
+                return response;
+            }
+            
+            const retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+            if (retryAfter !== null) {
+                // The server asked everyone to wait, not just this request
+                this.pauseHost(host, Math.min(retryAfter, this.MAX_RETRY_AFTER));
+            }
+            
+            const failure = {
+                url: url,
+                host: host,
+                status: response ? response.status : null,
+                reason: networkError ? 'network' : (response.status === 429 ? 'rate-limited' : 'unavailable'),
+                attempts: attempt + 1,
+                retryAfter: retryAfter
+            };
+            
+            if (attempt >= retries || (retryAfter !== null && retryAfter > this.MAX_RETRY_AFTER)) {
+                throw requestFailure(failure, networkError);
+            }
+            
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, this.BASE_DELAY, this.MAX_DELAY);
+            console.warn(`${host} answered ${failure.status || networkError.message}, retry ${attempt + 1}/${retries} in ${Math.round(delay / 1000)}s`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    },
+    
+    // Wait for a free slot on the host
+    acquire(host) {
+        return new Promise(resolve => {
+            this.hostState(host).queue.push(resolve);
+            this.pump(host);
+        });
+    },
+    
+    release(host) {
+        this.hostState(host).active--;
+        this.pump(host);
+    },
+    
+    pauseHost(host, ms) {
+        const hostState = this.hostState(host);
+        hostState.pausedUntil = Math.max(hostState.pausedUntil, Date.now() + ms);
+    },
+    
+    // Start as many queued requests as the host's budget allows
+    pump(host) {
+        const hostState = this.hostState(host);
+        const policy = this.policyFor(host);
+        
+        if (hostState.timer) return;
+        
+        while (hostState.queue.length > 0 && hostState.active < policy.concurrency) {
+            const wait = Math.max(hostState.nextStart, hostState.pausedUntil) - Date.now();
+            if (wait > 0) {
+                hostState.timer = setTimeout(() => {
+                    hostState.timer = null;
+                    this.pump(host);
+                }, wait);
+                return;
+            }
+            
+            hostState.active++;
+            hostState.nextStart = Date.now() + policy.minInterval;
+            hostState.queue.shift()();
+        }
+    }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+// Exponential backoff with jitter: a random point in the upper half of the step
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const step = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return step / 2 + Math.random() * (step / 2);
+}
+
+// Retry-After is either seconds or an HTTP date - returns ms, or null if absent/unreadable
+function parseRetryAfter(value) {
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Error thrown when the scheduler gives up. Carries what happened so callers can decide:
+// url, host, status (null for network errors), reason ('rate-limited', 'unavailable' or 'network'),
+// attempts and retryAfter (ms, or null)
+function requestFailure(failure, cause) {
+    const what = failure.status ? `HTTP ${failure.status}` : (cause ? cause.message : 'network error');
+    const error = new Error(`${failure.host} failed after ${failure.attempts} attempt${failure.attempts !== 1 ? 's' : ''} (${what})`);
+    error.name = 'RequestFailure';
+    Object.assign(error, failure);
+    return error;
+}
@@ -0,0 +1,68 @@
+/**
+ * Address Collector - Shared Settings
+ * Settings used by both the map page and the CSV viewer, stored in localStorage
+ */
+
+// ========================================
+// Settings Store
+// ========================================
+
+const Settings = {
+    SETTINGS_KEY: 'addressCollector_settings',
+    
+    DEFAULTS: {
+        geocoderProvider: 'nominatim',
+        // Base URL per provider - empty means the provider's public default
+        geocoderBaseUrls: {
+            nominatim: '',
+            photon: '',
+            pelias: ''
+        },
+        peliasApiKey: '',
+        // Persistent geocode cache limits
+        geocodeCacheTtlDays: 30,
+        geocodeCacheMaxEntries: 50000,
+        // Corridor collection along drawn lines: meters on each side, and whether to keep only the followed street
+        corridorWidth: 50,
+        corridorMatchStreet: false,
+        // Group address pins into count badges on both pages
+        markerClustering: true,
+        // Add the list's collection shapes to GeoJSON, KML and GPX exports
+        exportIncludeShapes: false,
+        // CSV export layout: the template in use and the ones saved besides the built-in presets
+        csvTemplateId: 'standard',
+        csvTemplates: [],
+        // Tried in order - the next one takes over when a server times out or is overloaded
+        overpassEndpoints: [
+            'https://overpass-api.de/api/interpreter',
+            'https://overpass.kumi.systems/api/interpreter',
+            'https://overpass.private.coffee/api/interpreter'
+        ]
+    },
+    
+    load() {
+        try {
+            const saved = localStorage.getItem(this.SETTINGS_KEY);
+            const parsed = saved ? JSON.parse(saved) : {};
+            return { ...this.DEFAULTS, ...parsed };
+        } catch (e) {
+            console.error('Failed to load settings from localStorage:', e);
+            return { ...this.DEFAULTS };
+        }
+    },
+    
+    get(key) {
+        return this.load()[key];
+    },
+    
+    update(values) {
+        try {
+            const settings = { ...this.load(), ...values };
+            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+            return settings;
+        } catch (e) {
+            console.error('Failed to save settings to localStorage:', e);
+            return this.load();
+        }
+    }
+};